@@ -0,0 +1,207 @@
+// Diff entre dois snapshots de graphData (saída de buildWinningHypothesesMermaid) + changelog em Markdown
+export async function diffGraphData({
+  previousGraphData,
+  currentGraphData,
+  // Campos do nó que não contam como mudança; os metadados da página mudam a cada edição,
+  // inclusive só no corpo, e encheriam o changelog de "Modified" sem mudança visível
+  ignoreFields = ["style", "groupId", "lastEditedTime", "lastEditedBy", "createdTime", "createdBy", "url"],
+  // Campos da edge calculados pelo crawl, não vindos do Notion: backEdge depende da ordem de travessia
+  ignoreEdgeFields = ["backEdge"],
+  maxValueLength = 160 // Corta valores longos no changelog
+}: {
+  previousGraphData: string;
+  currentGraphData: string;
+  ignoreFields?: string[];
+  ignoreEdgeFields?: string[];
+  maxValueLength?: number;
+}): Promise<{
+  diff: string; // JSON serializado com nodes/edges added/removed/modified
+  changelog: string; // Markdown
+  hasChanges: boolean;
+  addedNodeCount: number;
+  removedNodeCount: number;
+  modifiedNodeCount: number;
+  addedEdgeCount: number;
+  removedEdgeCount: number;
+  modifiedEdgeCount: number;
+}> {
+  // Aceita o graphData puro ou a saída completa do builder (com graphData serializado dentro)
+  function parseGraph(input: any, name: string) {
+    let parsed = input;
+    try {
+      if (typeof parsed === "string") parsed = JSON.parse(parsed);
+      if (typeof parsed?.graphData === "string") parsed = JSON.parse(parsed.graphData);
+    } catch (err) {
+      throw new Error(`${name} is not valid JSON: ${err}`);
+    }
+    if (!Array.isArray(parsed?.nodes) || !Array.isArray(parsed?.edges)) {
+      throw new Error(`${name} does not contain nodes and edges arrays.`);
+    }
+    return parsed;
+  }
+
+  const before = parseGraph(previousGraphData, "previousGraphData");
+  const after = parseGraph(currentGraphData, "currentGraphData");
+
+  const ignored = new Set(["id", "properties", ...ignoreFields]);
+  const ignoredEdge = new Set(["id", ...ignoreEdgeFields]);
+  const same = (a: any, b: any) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+  // ---------- nós ----------
+  const beforeNodes = new Map<string, any>(before.nodes.map((n: any) => [n.id, n]));
+  const afterNodes = new Map<string, any>(after.nodes.map((n: any) => [n.id, n]));
+
+  const addedNodes = after.nodes.filter((n: any) => !beforeNodes.has(n.id));
+  const removedNodes = before.nodes.filter((n: any) => !afterNodes.has(n.id));
+  const modifiedNodes: any[] = [];
+
+  after.nodes.forEach((node: any) => {
+    const prev = beforeNodes.get(node.id);
+    if (!prev) return;
+
+    const changes: Array<{ field: string; before: any; after: any }> = [];
+
+    const fields = new Set([...Object.keys(prev), ...Object.keys(node)]);
+    fields.forEach(field => {
+      if (ignored.has(field)) return;
+      if (!same(prev[field], node[field])) {
+        changes.push({ field, before: prev[field] ?? null, after: node[field] ?? null });
+      }
+    });
+
+    // Mudanças campo a campo dentro de node.properties
+    const prevProps = prev.properties || {};
+    const props = node.properties || {};
+    const propKeys = new Set([...Object.keys(prevProps), ...Object.keys(props)]);
+    propKeys.forEach(key => {
+      if (!same(prevProps[key], props[key])) {
+        changes.push({ field: `properties.${key}`, before: prevProps[key] ?? null, after: props[key] ?? null });
+      }
+    });
+
+    if (changes.length) {
+      modifiedNodes.push({ id: node.id, type: node.type, title: node.title, changes });
+    }
+  });
+
+  // ---------- edges ----------
+  // IDs de edge são contadores da execução; a identidade real é origem -> destino + tipo
+  const edgeKey = (e: any) => `${e.source}->${e.target}:${e.type || ""}`;
+  const beforeEdges = new Map<string, any>(before.edges.map((e: any) => [edgeKey(e), e]));
+  const afterEdges = new Map<string, any>(after.edges.map((e: any) => [edgeKey(e), e]));
+
+  const addedEdges = after.edges.filter((e: any) => !beforeEdges.has(edgeKey(e)));
+  const removedEdges = before.edges.filter((e: any) => !afterEdges.has(edgeKey(e)));
+  const modifiedEdges: any[] = [];
+
+  after.edges.forEach((edge: any) => {
+    const prev = beforeEdges.get(edgeKey(edge));
+    if (!prev) return;
+
+    const changes: Array<{ field: string; before: any; after: any }> = [];
+    const fields = new Set([...Object.keys(prev), ...Object.keys(edge)]);
+    fields.forEach(field => {
+      if (ignoredEdge.has(field)) return;
+      if (!same(prev[field], edge[field])) {
+        changes.push({ field, before: prev[field] ?? null, after: edge[field] ?? null });
+      }
+    });
+
+    if (changes.length) {
+      modifiedEdges.push({ source: edge.source, target: edge.target, type: edge.type, changes });
+    }
+  });
+
+  const hasChanges = !!(addedNodes.length || removedNodes.length || modifiedNodes.length ||
+    addedEdges.length || removedEdges.length || modifiedEdges.length);
+
+  // ---------- changelog ----------
+  const schemaTypes: any[] = after.metadata?.schema?.nodeTypes || before.metadata?.schema?.nodeTypes || [];
+  const typeOrder = schemaTypes.length ? schemaTypes.map((t: any) => t.type) : ["WH", "BHQ", "HB", "VR", "L"];
+  const typeLabels = new Map<string, string>(schemaTypes.map((t: any) => [t.type, t.label || t.type]));
+  if (!schemaTypes.length) typeLabels.set("L", "BML");
+
+  const labelOf = (type: string) => typeLabels.get(type) || type;
+  const byTypeOrder = (a: any, b: any) => {
+    const ia = typeOrder.indexOf(a.type), ib = typeOrder.indexOf(b.type);
+    if (ia !== ib) return (ia === -1 ? 999 : ia) - (ib === -1 ? 999 : ib);
+    return String(a.title || "").localeCompare(String(b.title || ""));
+  };
+
+  const clip = (value: any) => {
+    if (value === null || value === undefined || value === "") return "_(empty)_";
+    const text = (typeof value === "string" ? value : JSON.stringify(value)).replace(/\s+/g, " ").trim();
+    const short = text.length > maxValueLength ? `${text.slice(0, maxValueLength - 1)}…` : text;
+    return `"${short}"`;
+  };
+
+  const describeNode = (node: any) => `**${labelOf(node.type)}:** ${node.title || node.id}`;
+  const nodeTitle = (id: string) => {
+    const node = afterNodes.get(id) || beforeNodes.get(id);
+    return node ? `${labelOf(node.type)}: ${node.title || id}` : id;
+  };
+  const describeEdge = (edge: any) => `${nodeTitle(edge.source)} → ${nodeTitle(edge.target)}${edge.type ? ` (${edge.type})` : ""}`;
+
+  const md: string[] = [];
+  md.push("## Hypothesis tree changes");
+  const fromAt = before.metadata?.processedAt, toAt = after.metadata?.processedAt;
+  if (fromAt || toAt) md.push(`_${fromAt || "?"} → ${toAt || "?"}_`);
+  md.push("");
+
+  if (!hasChanges) {
+    md.push("No changes in the hypothesis tree.");
+  } else {
+    md.push(
+      `**Summary:** ${addedNodes.length} added, ${removedNodes.length} removed, ${modifiedNodes.length} modified nodes · ` +
+      `${addedEdges.length} added, ${removedEdges.length} removed, ${modifiedEdges.length} modified connections`
+    );
+
+    if (addedNodes.length) {
+      md.push("", "### Added");
+      [...addedNodes].sort(byTypeOrder).forEach(n => md.push(`- ${describeNode(n)}`));
+    }
+
+    if (removedNodes.length) {
+      md.push("", "### Removed");
+      [...removedNodes].sort(byTypeOrder).forEach(n => md.push(`- ${describeNode(n)}`));
+    }
+
+    if (modifiedNodes.length) {
+      md.push("", "### Modified");
+      [...modifiedNodes].sort(byTypeOrder).forEach(n => {
+        md.push(`- ${describeNode(n)}`);
+        n.changes.forEach((c: any) => md.push(`  - \`${c.field}\`: ${clip(c.before)} → ${clip(c.after)}`));
+      });
+    }
+
+    if (addedEdges.length || removedEdges.length || modifiedEdges.length) {
+      md.push("", "### Connections");
+      addedEdges.forEach((e: any) => md.push(`- ➕ ${describeEdge(e)}`));
+      removedEdges.forEach((e: any) => md.push(`- ➖ ${describeEdge(e)}`));
+      modifiedEdges.forEach((e: any) => {
+        md.push(`- ✏️ ${describeEdge(e)}`);
+        e.changes.forEach((c: any) => md.push(`  - \`${c.field}\`: ${clip(c.before)} → ${clip(c.after)}`));
+      });
+    }
+  }
+
+  const diffObj = {
+    from: fromAt || null,
+    to: toAt || null,
+    nodes: { added: addedNodes, removed: removedNodes, modified: modifiedNodes },
+    edges: { added: addedEdges, removed: removedEdges, modified: modifiedEdges }
+  };
+
+  // Retornar como campos flat para evitar quebra no Zapier
+  return {
+    diff: JSON.stringify(diffObj),
+    changelog: md.join("\n"),
+    hasChanges,
+    addedNodeCount: addedNodes.length,
+    removedNodeCount: removedNodes.length,
+    modifiedNodeCount: modifiedNodes.length,
+    addedEdgeCount: addedEdges.length,
+    removedEdgeCount: removedEdges.length,
+    modifiedEdgeCount: modifiedEdges.length
+  };
+}
@@ -0,0 +1,319 @@
+// Exporta o graphData (saída de buildWinningHypothesesMermaid) para GraphML, DOT, GEXF e Cytoscape.js
+export async function exportGraphData({
+  graphData,
+  formats = "graphml,dot,gexf,cytoscape", // Lista separada por vírgula
+  graphName = "Hypothesis Network"
+}: {
+  graphData: string;
+  formats?: string;
+  graphName?: string;
+}): Promise<{
+  graphml: string; // yEd / Gephi
+  dot: string; // Graphviz
+  gexf: string; // Gephi
+  cytoscape: string; // JSON { elements, style } para cytoscape()
+  nodeCount: number;
+  edgeCount: number;
+  groupCount: number;
+}> {
+  // Aceita o graphData puro ou a saída completa do builder (com graphData serializado dentro)
+  let data: any = graphData;
+  try {
+    if (typeof data === "string") data = JSON.parse(data);
+    if (typeof data?.graphData === "string") data = JSON.parse(data.graphData);
+  } catch (err) {
+    throw new Error(`graphData is not valid JSON: ${err}`);
+  }
+  if (!Array.isArray(data?.nodes) || !Array.isArray(data?.edges)) {
+    throw new Error("graphData does not contain nodes and edges arrays.");
+  }
+
+  const wanted = new Set(String(formats || "").split(",").map(f => f.trim().toLowerCase()).filter(Boolean));
+  const nodes: any[] = data.nodes;
+  const edges: any[] = data.edges;
+  const groups: any[] = Array.isArray(data.groups) ? data.groups : [];
+
+  const schemaTypes: any[] = data.metadata?.schema?.nodeTypes || [];
+  const typeLabels = new Map<string, string>(schemaTypes.map((t: any) => [t.type, t.label || t.type]));
+  if (!schemaTypes.length) typeLabels.set("L", "BML");
+  const labelOf = (node: any) => `${typeLabels.get(node.type) || node.type}: ${node.title || node.id}`;
+
+  const groupById = new Map<any, any>(groups.map(g => [g.id, g]));
+  const groupOf = new Map<string, any>();
+  groups.forEach(g => (g.nodeIds || []).forEach((id: string) => groupOf.set(id, g)));
+  nodes.forEach(n => {
+    if (n.groupId !== undefined && groupById.has(n.groupId)) groupOf.set(n.id, groupById.get(n.groupId));
+  });
+
+  // Todas as chaves de node.properties, para declarar os atributos uma vez só
+  const propertyKeys = Array.from(new Set(nodes.flatMap(n => Object.keys(n.properties || {})))).sort();
+  const styleOf = (node: any) => ({
+    fill: node.style?.backgroundColor || node.style?.fillColor || "#6b7280",
+    text: node.style?.textColor || "#ffffff",
+    border: node.style?.borderColor || "#374151",
+    borderWidth: node.style?.borderWidth ?? 1.5,
+    dashed: node.style?.borderStyle === "dashed"
+  });
+
+  const xml = (value: any) => String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    // Caracteres de controle não são válidos em XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+  const safeKey = (key: string) => key.replace(/[^A-Za-z0-9_]/g, "_");
+
+  // Origem da edge no Notion (graphData antigo não tem esses campos)
+  const EDGE_FIELDS = ["propertyName", "propertyId", "sourceDatabaseId", "targetDatabaseId"];
+  const edgeFields = (edge: any) => EDGE_FIELDS.filter(field => edge[field] !== undefined && edge[field] !== null);
+
+  // ---------- GraphML ----------
+  function toGraphML(): string {
+    const out: string[] = [];
+    out.push('<?xml version="1.0" encoding="UTF-8"?>');
+    out.push('<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:y="http://www.yworks.com/xml/graphml" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://www.yworks.com/xml/schema/graphml/1.1/ygraphml.xsd">');
+    out.push('  <key id="type" for="node" attr.name="type" attr.type="string"/>');
+    out.push('  <key id="title" for="node" attr.name="title" attr.type="string"/>');
+    out.push('  <key id="group" for="node" attr.name="group" attr.type="string"/>');
+    out.push('  <key id="groupName" for="node" attr.name="groupName" attr.type="string"/>');
+    out.push('  <key id="fill" for="node" attr.name="fillColor" attr.type="string"/>');
+    out.push('  <key id="textColor" for="node" attr.name="textColor" attr.type="string"/>');
+    out.push('  <key id="border" for="node" attr.name="borderColor" attr.type="string"/>');
+    propertyKeys.forEach(key => {
+      out.push(`  <key id="p_${safeKey(key)}" for="node" attr.name="${xml(key)}" attr.type="string"/>`);
+    });
+    out.push('  <key id="graphics" for="node" yfiles.type="nodegraphics"/>');
+    out.push('  <key id="edgeType" for="edge" attr.name="type" attr.type="string"/>');
+    out.push('  <key id="backEdge" for="edge" attr.name="backEdge" attr.type="boolean"/>');
+    EDGE_FIELDS.forEach(field => {
+      out.push(`  <key id="e_${field}" for="edge" attr.name="${field}" attr.type="string"/>`);
+    });
+    out.push(`  <graph id="${xml(graphName)}" edgedefault="directed">`);
+
+    nodes.forEach(node => {
+      const st = styleOf(node);
+      const group = groupOf.get(node.id);
+      out.push(`    <node id="${xml(node.id)}">`);
+      out.push(`      <data key="type">${xml(node.type)}</data>`);
+      out.push(`      <data key="title">${xml(node.title)}</data>`);
+      if (group) {
+        out.push(`      <data key="group">${xml(group.id)}</data>`);
+        out.push(`      <data key="groupName">${xml(group.name)}</data>`);
+      }
+      out.push(`      <data key="fill">${xml(st.fill)}</data>`);
+      out.push(`      <data key="textColor">${xml(st.text)}</data>`);
+      out.push(`      <data key="border">${xml(st.border)}</data>`);
+      Object.entries(node.properties || {}).forEach(([key, value]) => {
+        out.push(`      <data key="p_${safeKey(key)}">${xml(value)}</data>`);
+      });
+      // Cor e rótulo visíveis no yEd
+      out.push('      <data key="graphics">');
+      out.push('        <y:ShapeNode>');
+      out.push('          <y:Geometry width="220.0" height="60.0"/>');
+      out.push(`          <y:Fill color="${xml(st.fill)}" transparent="false"/>`);
+      out.push(`          <y:BorderStyle color="${xml(st.border)}" type="${st.dashed ? "dashed" : "line"}" width="${xml(st.borderWidth)}"/>`);
+      out.push(`          <y:NodeLabel textColor="${xml(st.text)}">${xml(labelOf(node))}</y:NodeLabel>`);
+      out.push('          <y:Shape type="roundrectangle"/>');
+      out.push('        </y:ShapeNode>');
+      out.push('      </data>');
+      out.push('    </node>');
+    });
+
+    edges.forEach(edge => {
+      out.push(`    <edge id="${xml(edge.id)}" source="${xml(edge.source)}" target="${xml(edge.target)}">`);
+      out.push(`      <data key="edgeType">${xml(edge.type)}</data>`);
+      if (edge.backEdge) out.push('      <data key="backEdge">true</data>');
+      edgeFields(edge).forEach(field => out.push(`      <data key="e_${field}">${xml(edge[field])}</data>`));
+      out.push('    </edge>');
+    });
+
+    out.push('  </graph>');
+    out.push('</graphml>');
+    return out.join("\n");
+  }
+
+  // ---------- DOT ----------
+  function toDot(): string {
+    const q = (value: any) => `"${String(value ?? "").replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\r?\n/g, "\\n")}"`;
+    const nodeLine = (node: any, indent: string) => {
+      const st = styleOf(node);
+      const tooltip = Object.entries(node.properties || {}).map(([k, v]) => `${k}: ${v}`).join("\n");
+      const attrs = [
+        `label=${q(labelOf(node))}`,
+        `fillcolor=${q(st.fill)}`,
+        `fontcolor=${q(st.text)}`,
+        `color=${q(st.border)}`,
+        `class=${q(node.type)}`,
+        ...(st.dashed ? ['style="rounded,filled,dashed"'] : []),
+        ...(tooltip ? [`tooltip=${q(tooltip)}`] : [])
+      ];
+      return `${indent}${q(node.id)} [${attrs.join(", ")}];`;
+    };
+
+    const out: string[] = [];
+    out.push(`digraph ${q(graphName)} {`);
+    out.push("  rankdir=TB;");
+    out.push('  node [shape=box, style="rounded,filled", fontname="Arial"];');
+    out.push('  edge [color="#6b7280"];');
+
+    // Grupos viram clusters com os nós root do grupo
+    const clustered = new Set<string>();
+    groups.forEach(group => {
+      const members = nodes.filter(n => groupOf.get(n.id) === group);
+      if (!members.length) return;
+      out.push(`  subgraph ${q(`cluster_${group.id}`)} {`);
+      out.push(`    label=${q(group.name || `Group ${group.id}`)};`);
+      out.push('    style="rounded,dashed";');
+      members.forEach(n => {
+        out.push(nodeLine(n, "    "));
+        clustered.add(n.id);
+      });
+      out.push("  }");
+    });
+
+    nodes.filter(n => !clustered.has(n.id)).forEach(n => out.push(nodeLine(n, "  ")));
+
+    edges.forEach(edge => {
+      const attrs = [`label=${q(edge.type)}`];
+      if (edge.propertyName) attrs.push(`tooltip=${q(edge.propertyName)}`);
+      // Edge de ciclo não deve puxar o ranking do layout
+      if (edge.backEdge) attrs.push('style=dashed', 'color="#dc2626"', "constraint=false");
+      out.push(`  ${q(edge.source)} -> ${q(edge.target)} [${attrs.join(", ")}];`);
+    });
+
+    out.push("}");
+    return out.join("\n");
+  }
+
+  // ---------- GEXF ----------
+  function toGexf(): string {
+    const rgb = (hex: string) => {
+      const m = String(hex).replace("#", "").match(/^([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+      return m ? m.slice(1).map(h => parseInt(h, 16)) : [107, 114, 128];
+    };
+
+    const out: string[] = [];
+    out.push('<?xml version="1.0" encoding="UTF-8"?>');
+    out.push('<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">');
+    out.push(`  <meta lastmodifieddate="${xml(String(data.metadata?.processedAt || new Date().toISOString()).slice(0, 10))}">`);
+    out.push(`    <description>${xml(graphName)}</description>`);
+    out.push('  </meta>');
+    out.push('  <graph defaultedgetype="directed" mode="static">');
+    out.push('    <attributes class="node" mode="static">');
+    out.push('      <attribute id="type" title="type" type="string"/>');
+    out.push('      <attribute id="group" title="group" type="string"/>');
+    out.push('      <attribute id="groupName" title="groupName" type="string"/>');
+    propertyKeys.forEach(key => {
+      out.push(`      <attribute id="p_${safeKey(key)}" title="${xml(key)}" type="string"/>`);
+    });
+    out.push('    </attributes>');
+    out.push('    <attributes class="edge" mode="static">');
+    out.push('      <attribute id="backEdge" title="backEdge" type="boolean"/>');
+    EDGE_FIELDS.forEach(field => {
+      out.push(`      <attribute id="e_${field}" title="${field}" type="string"/>`);
+    });
+    out.push('    </attributes>');
+
+    out.push('    <nodes>');
+    nodes.forEach(node => {
+      const [r, g, b] = rgb(styleOf(node).fill);
+      const group = groupOf.get(node.id);
+      out.push(`      <node id="${xml(node.id)}" label="${xml(labelOf(node))}">`);
+      out.push('        <attvalues>');
+      out.push(`          <attvalue for="type" value="${xml(node.type)}"/>`);
+      if (group) {
+        out.push(`          <attvalue for="group" value="${xml(group.id)}"/>`);
+        out.push(`          <attvalue for="groupName" value="${xml(group.name)}"/>`);
+      }
+      Object.entries(node.properties || {}).forEach(([key, value]) => {
+        out.push(`          <attvalue for="p_${safeKey(key)}" value="${xml(value)}"/>`);
+      });
+      out.push('        </attvalues>');
+      out.push(`        <viz:color r="${r}" g="${g}" b="${b}"/>`);
+      out.push('      </node>');
+    });
+    out.push('    </nodes>');
+
+    out.push('    <edges>');
+    edges.forEach(edge => {
+      out.push(`      <edge id="${xml(edge.id)}" source="${xml(edge.source)}" target="${xml(edge.target)}" label="${xml(edge.type)}">`);
+      out.push('        <attvalues>');
+      out.push(`          <attvalue for="backEdge" value="${edge.backEdge ? "true" : "false"}"/>`);
+      edgeFields(edge).forEach(field => out.push(`          <attvalue for="e_${field}" value="${xml(edge[field])}"/>`));
+      out.push('        </attvalues>');
+      out.push('      </edge>');
+    });
+    out.push('    </edges>');
+
+    out.push('  </graph>');
+    out.push('</gexf>');
+    return out.join("\n");
+  }
+
+  // ---------- Cytoscape.js ----------
+  function toCytoscape(): string {
+    const groupNodeId = (group: any) => `group_${group.id}`;
+    const elements = {
+      nodes: [
+        // Grupos como nós compostos (parent) dos nós root
+        ...groups.map(group => ({
+          data: { id: groupNodeId(group), label: group.name || `Group ${group.id}`, type: "group", size: group.size },
+          classes: "group"
+        })),
+        ...nodes.map(node => {
+          const group = groupOf.get(node.id);
+          return {
+            data: {
+              ...(node.properties || {}),
+              id: node.id,
+              label: labelOf(node),
+              title: node.title,
+              type: node.type,
+              ...(group && { parent: groupNodeId(group) }),
+              ...(node.style && { style: node.style })
+            },
+            classes: node.type
+          };
+        })
+      ],
+      edges: edges.map(edge => ({
+        data: {
+          id: edge.id,
+          source: edge.source,
+          target: edge.target,
+          type: edge.type,
+          ...Object.fromEntries(edgeFields(edge).map(field => [field, edge[field]])),
+          ...(edge.backEdge && { backEdge: true })
+        },
+        classes: edge.backEdge ? `${edge.type} backEdge` : edge.type
+      }))
+    };
+
+    const types = Array.from(new Set(nodes.map(n => n.type)));
+    const style: any[] = [
+      { selector: "node", style: { label: "data(label)", shape: "round-rectangle", "text-wrap": "wrap", "text-max-width": 200, "text-valign": "center" } },
+      { selector: "node.group", style: { "background-opacity": 0.05, "border-style": "dashed", "text-valign": "top" } },
+      { selector: "edge", style: { "curve-style": "bezier", "target-arrow-shape": "triangle", "line-color": "#6b7280", "target-arrow-color": "#6b7280" } },
+      { selector: "edge.backEdge", style: { "line-style": "dashed", "line-color": "#dc2626", "target-arrow-color": "#dc2626" } },
+      ...types.map(type => {
+        const st = styleOf(nodes.find(n => n.type === type));
+        return { selector: `node.${type}`, style: { "background-color": st.fill, color: st.text, "border-color": st.border, "border-width": st.borderWidth, ...(st.dashed && { "border-style": "dashed" }) } };
+      })
+    ];
+
+    return JSON.stringify({ elements, style });
+  }
+
+  // Retornar como campos flat para evitar quebra no Zapier
+  return {
+    graphml: wanted.has("graphml") ? toGraphML() : "",
+    dot: wanted.has("dot") ? toDot() : "",
+    gexf: wanted.has("gexf") ? toGexf() : "",
+    cytoscape: wanted.has("cytoscape") ? toCytoscape() : "",
+    nodeCount: nodes.length,
+    edgeCount: edges.length,
+    groupCount: groups.length
+  };
+}
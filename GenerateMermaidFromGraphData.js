@@ -0,0 +1,468 @@
+// Gera Mermaid a partir do graphData de buildWinningHypothesesMermaid (sem novo crawl no Notion)
+// Mesmos rótulos, classDefs e ordem por grupos do antigo gerador que lia o Notion diretamente
+export async function buildMermaidFromGraphData({
+  graphData,
+  emitStyles = true,
+  direction = "TD",
+  groupSubgraphs = true, // Cada grupo de WH relacionados vira um subgraph com seus HB/VR/L
+  minGroupSize = 2, // Grupos menores ficam fora de subgraph
+  groupTitleProperty, // Ex.: "tags" — título do grupo a partir do valor compartilhado pelos WH
+  groupTitles, // JSON { [groupId]: "Título" } — tem prioridade sobre o resto
+  clickableNodes = true, // Emite `click` para abrir a página no Notion
+  tooltipMaxLength = 300,
+  maxNodesPerDiagram = 150 // Acima disso divide em um diagrama por grupo de WH + visão geral (0 = nunca divide)
+}: {
+  graphData: string;
+  emitStyles?: boolean;
+  direction?: "TD" | "TB" | "LR" | "RL" | "BT";
+  groupSubgraphs?: boolean;
+  minGroupSize?: number;
+  groupTitleProperty?: string;
+  groupTitles?: string | Record<string, string>;
+  clickableNodes?: boolean;
+  tooltipMaxLength?: number;
+  maxNodesPerDiagram?: number;
+}): Promise<{
+  mermaid: string; // Diagrama completo, ou a visão geral quando dividido
+  diagrams: string; // JSON [{ title, mermaid, nodeCount }] — visão geral primeiro quando dividido
+  diagramCount: number;
+  counts: Record<string, number>;
+  debug: string[];
+}> {
+  const debug: string[] = [];
+
+  // Aceita o graphData puro ou a saída completa do builder (com graphData serializado dentro)
+  let data: any = graphData;
+  try {
+    if (typeof data === "string") data = JSON.parse(data);
+    if (typeof data?.graphData === "string") {
+      data = JSON.parse(data.graphData);
+      debug.push("Parsed nested graphData");
+    }
+  } catch (err) {
+    throw new Error(`graphData is not valid JSON: ${err}`);
+  }
+  if (!Array.isArray(data?.nodes) || !Array.isArray(data?.edges)) {
+    throw new Error("graphData does not contain nodes and edges arrays.");
+  }
+
+  const nodes: any[] = data.nodes;
+  const edges: any[] = data.edges;
+  const groups: any[] = Array.isArray(data.groups) ? data.groups : [];
+  debug.push(`Rendering ${nodes.length} nodes, ${edges.length} edges, ${groups.length} groups`);
+
+  // Rótulos e ordem dos tipos vêm do schema gravado no graphData
+  const schemaTypes: any[] = data.metadata?.schema?.nodeTypes || [];
+  const typeOrder: string[] = schemaTypes.length ? schemaTypes.map((t: any) => t.type) : ["WH", "BHQ", "HB", "VR", "L"];
+  const typeLabels = new Map<string, string>(schemaTypes.map((t: any) => [t.type, t.label || t.type]));
+  if (!schemaTypes.length) typeLabels.set("L", "BML");
+
+  const DEFAULT_STYLES: Record<string, any> = {
+    WH: { backgroundColor: "#8b5cf6", textColor: "#ffffff", borderColor: "#4c1d95" },
+    BHQ: { backgroundColor: "#ec4899", textColor: "#ffffff", borderColor: "#9f1239" },
+    HB: { backgroundColor: "#3b82f6", textColor: "#ffffff", borderColor: "#1e3a8a" },
+    VR: { backgroundColor: "#f59e0b", textColor: "#111827", borderColor: "#9a3412" },
+    L: { backgroundColor: "#10b981", textColor: "#ffffff", borderColor: "#064e3b" },
+    MORE: { backgroundColor: "#f3f4f6", textColor: "#374151", borderColor: "#9ca3af", borderWidth: 1, borderStyle: "dashed" }
+  };
+
+  // Marcadores "+N more" do builder onde maxDepth/maxWinning cortaram o crawl: sem propriedades nem link
+  const MORE_TYPE = "MORE";
+  const isMore = (node: any) => node?.type === MORE_TYPE;
+
+  function sanitizeForMermaid(text: string): string {
+    if (!text) return "";
+    return String(text)
+      .replace(/[\r\n]+/g, " ")
+      .replace(/['"]/g, "'")
+      .replace(/[`]/g, "'")
+      .replace(/[{}]/g, "")
+      .replace(/[\[\]]/g, "")
+      .replace(/[|]/g, "-")
+      .replace(/[;]/g, ",")
+      .replace(/[&]/g, "and")
+      .replace(/\\/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  const esc = (s: string) => {
+    return String(s || "")
+      .replace(/"/g, "'")
+      .replace(/&(?!(lt|gt|amp);)/g, "&amp;");
+  };
+
+  // "dueDate" -> "Due Date"
+  const humanizeKey = (key: string) => key
+    .replace(/[_-]+/g, " ")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/^./, c => c.toUpperCase());
+
+  // Campos com rótulo fixo por tipo; demais propriedades entram depois com o nome da chave
+  const LABELED_PROPERTIES: Record<string, Array<[string, string]>> = {
+    BHQ: [["description", "Description"], ["question", "Question"]],
+    HB: [["description", "Description"]],
+    VR: [["goal", "Goal"], ["summary", "Description"]],
+    L: [["positiveSummary", "Positives"], ["negativeSummary", "Negatives"]]
+  };
+
+  function createEnrichedLabel(node: any): string {
+    const props = node.properties || {};
+    const title = sanitizeForMermaid(node.title || node.id);
+    const parts = [`<b>${title}</b>`];
+    const used = new Set<string>();
+
+    if (node.type === "WH") {
+      const description = sanitizeForMermaid(props.description);
+      if (description) {
+        parts.push(`<p> </p><i>${description}</i>`);
+      }
+      used.add("description");
+    }
+
+    (LABELED_PROPERTIES[node.type] || []).forEach(([key, label]) => {
+      used.add(key);
+      const value = sanitizeForMermaid(props[key]);
+      if (value) {
+        parts.push(`<p> </p><b>${label}:</b> <i>${value}</i>`);
+      }
+    });
+
+    Object.entries(props).forEach(([key, raw]) => {
+      if (used.has(key)) return;
+      const value = sanitizeForMermaid(String(raw ?? ""));
+      if (value) {
+        parts.push(`<p> </p><b>${humanizeKey(key)}:</b> <i>${value}</i>`);
+      }
+    });
+
+    return parts.join("");
+  }
+
+  const labelWithPrefix = (node: any, label: string) => {
+    const pfx = `<b>${typeLabels.get(node.type) || node.type}:</b>`;
+
+    if (label.startsWith("<b>")) {
+      return label.replace(/^<b>/, `${pfx} <b>`);
+    } else {
+      return `${pfx} ${label}`;
+    }
+  };
+
+  const classDefFor = (type: string) => {
+    const sample = nodes.find(n => n.type === type && n.style)?.style || DEFAULT_STYLES[type] || {};
+    const fill = sample.backgroundColor || sample.fillColor || "#6b7280";
+    const color = sample.textColor || "#ffffff";
+    const stroke = sample.borderColor || "#374151";
+    const width = sample.borderWidth ?? 1.5;
+    const dash = sample.borderStyle === "dashed" ? ",stroke-dasharray:5 5" : "";
+    return `classDef ${type} fill:${fill},color:${color},stroke:${stroke},stroke-width:${width}${dash},rx:10,ry:10;`;
+  };
+
+  const nodeLine = (node: any) => isMore(node)
+    ? `${node.id}(["${esc(sanitizeForMermaid(node.title || "More"))}"]):::${node.type}`
+    : `${node.id}["${esc(labelWithPrefix(node, createEnrichedLabel(node)))}"]:::${node.type}`;
+
+  const nodeById = new Map<string, any>(nodes.map(n => [n.id, n]));
+
+  let titleOverrides: Record<string, string> = {};
+  if (groupTitles) {
+    try {
+      titleOverrides = typeof groupTitles === "string" ? JSON.parse(groupTitles) : groupTitles;
+    } catch (err) {
+      throw new Error(`groupTitles is not valid JSON: ${err}`);
+    }
+  }
+
+  // Título do grupo: override > valor de groupTitleProperty comum a todos os WH > mais frequente > nome do grupo
+  function groupTitle(group: any): string {
+    const override = titleOverrides[String(group.id)];
+    if (override) return override;
+
+    if (groupTitleProperty) {
+      const valueLists = (group.nodeIds || [])
+        .map((id: string) => nodeById.get(id)?.properties?.[groupTitleProperty])
+        .filter(Boolean)
+        .map((v: string) => String(v).split(",").map(x => x.trim()).filter(Boolean));
+
+      if (valueLists.length) {
+        const shared = valueLists[0].filter((v: string) => valueLists.every((list: string[]) => list.includes(v)));
+        if (shared.length) return shared.join(", ");
+
+        const freq = new Map<string, number>();
+        valueLists.flat().forEach((v: string) => freq.set(v, (freq.get(v) || 0) + 1));
+        return Array.from(freq.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+      }
+    }
+
+    return group.name || `Group ${group.id}`;
+  }
+
+  // Links para as páginas no Notion; tooltip com as propriedades do nó
+  // graphData antigo não tem node.url: monta a partir do ID da página (parte após o prefixo do tipo)
+  const notionUrl = (node: any) => {
+    if (node.url) return node.url;
+    const pageId = String(node.id).slice(String(node.type).length + 1).replace(/_/g, "");
+    return /^[0-9a-f]{32}$/i.test(pageId) ? `https://www.notion.so/${pageId}` : "";
+  };
+
+  // Data da última edição e estado da página (graphData antigo não tem esses campos)
+  const freshnessOf = (node: any) => {
+    const parts: string[] = [];
+    if (node.lastEditedTime) parts.push(`Last edited ${String(node.lastEditedTime).slice(0, 10)}`);
+    if (node.inTrash) parts.push("In trash");
+    else if (node.archived) parts.push("Archived");
+    return parts;
+  };
+
+  const tooltipFor = (node: any) => {
+    const parts = Object.entries(node.properties || {})
+      .map(([key, raw]) => [key, sanitizeForMermaid(String(raw ?? ""))])
+      .filter(([, value]) => value)
+      .map(([key, value]) => `${humanizeKey(key)}: ${value}`);
+    const icon = node.icon && !/^https?:/i.test(node.icon) ? `${node.icon} ` : "";
+    const text = icon + [...(parts.length ? parts : [sanitizeForMermaid(node.title || node.id)]), ...freshnessOf(node)].join(" · ");
+    return (text.length > tooltipMaxLength ? `${text.slice(0, tooltipMaxLength - 1)}…` : text).replace(/'/g, "’");
+  };
+
+  // Filhos de cada nó, sem as edges que fecham ciclos
+  const children = new Map<string, string[]>();
+  edges.forEach(edge => {
+    if (edge.backEdge) return;
+    if (!children.has(edge.source)) children.set(edge.source, []);
+    children.get(edge.source)!.push(edge.target);
+  });
+
+  const descendantsOf = (startIds: string[]) => {
+    const queue = startIds.filter(id => nodeById.has(id));
+    const seen = new Set<string>(queue);
+    while (queue.length) {
+      const id = queue.shift()!;
+      (children.get(id) || []).forEach(childId => {
+        if (seen.has(childId) || !nodeById.has(childId)) return;
+        seen.add(childId);
+        queue.push(childId);
+      });
+    }
+    return seen;
+  };
+
+  // Gera um flowchart com um subconjunto dos nós (o grafo inteiro ou um pedaço)
+  function renderFlowchart(viewNodes: any[], viewGroups: any[]): string[] {
+    const inView = new Set<string>(viewNodes.map(n => n.id));
+    const mm: string[] = [];
+    mm.push(`flowchart ${direction}`);
+
+    const presentTypes = Array.from(new Set(viewNodes.map(n => n.type)));
+    presentTypes.sort((a, b) => {
+      const ia = typeOrder.indexOf(a), ib = typeOrder.indexOf(b);
+      return (ia === -1 ? 999 : ia) - (ib === -1 ? 999 : ib);
+    });
+
+    if (emitStyles) {
+      presentTypes.forEach(type => mm.push(classDefFor(type)));
+    }
+
+    const emitted = new Set<string>();
+
+    // Cada nó abaixo dos WH vai para o subgraph do único grupo que o alcança;
+    // nós alcançados por mais de um grupo ficam fora dos subgraphs
+    const subgraphGroups = groupSubgraphs
+      ? viewGroups.filter(g => (g.nodeIds || []).filter((id: string) => inView.has(id)).length >= minGroupSize)
+      : [];
+    const reachedBy = new Map<string, Set<any>>();
+
+    const markReach = (startIds: string[], owner: any) => {
+      descendantsOf(startIds).forEach(id => {
+        if (!reachedBy.has(id)) reachedBy.set(id, new Set());
+        reachedBy.get(id)!.add(owner);
+      });
+    };
+
+    subgraphGroups.forEach(group => markReach(group.nodeIds || [], group.id));
+    // WH de grupos sem subgraph também "disputam" os nós abaixo deles
+    viewGroups
+      .filter(g => !subgraphGroups.includes(g))
+      .forEach(group => markReach(group.nodeIds || [], `outside_${group.id}`));
+
+    const subgraphId = (group: any) => `group_${String(group.id).replace(/[^A-Za-z0-9_]/g, "_")}`;
+
+    subgraphGroups.forEach(group => {
+      const members = viewNodes.filter(n => {
+        const owners = reachedBy.get(n.id);
+        return owners && owners.size === 1 && owners.has(group.id);
+      });
+      if (!members.length) return;
+
+      mm.push(`subgraph ${subgraphId(group)}["${esc(sanitizeForMermaid(groupTitle(group)))}"]`);
+
+      // WH do grupo primeiro, depois os nós abaixo deles na ordem do crawl
+      const rootIds = new Set<string>(group.nodeIds || []);
+      [...members.filter(n => rootIds.has(n.id)), ...members.filter(n => !rootIds.has(n.id))].forEach(node => {
+        if (emitted.has(node.id)) return;
+        mm.push(`  ${nodeLine(node)}`);
+        emitted.add(node.id);
+      });
+
+      mm.push("end");
+      if (emitStyles) {
+        mm.push(`style ${subgraphId(group)} fill:#f8fafc,stroke:#94a3b8,stroke-width:1px,stroke-dasharray:5 5`);
+      }
+    });
+
+    // Nós root na ordem dos grupos para manter os relacionados próximos
+    viewGroups.forEach(group => {
+      (group.nodeIds || []).forEach((id: string) => {
+        const node = nodeById.get(id);
+        if (!node || !inView.has(id) || emitted.has(id)) return;
+        mm.push(nodeLine(node));
+        emitted.add(id);
+      });
+    });
+
+    // Demais nós na ordem do crawl
+    viewNodes.forEach(node => {
+      if (emitted.has(node.id)) return;
+      mm.push(nodeLine(node));
+      emitted.add(node.id);
+    });
+
+    if (clickableNodes) {
+      viewNodes.forEach(node => {
+        const url = notionUrl(node);
+        if (!url) return;
+        mm.push(`click ${node.id} "${url.replace(/"/g, "%22")}" "${tooltipFor(node)}" _blank`);
+      });
+    }
+
+    // Edges que fecham ciclos ou levam a um marcador "+N more" ficam pontilhadas
+    edges.forEach(edge => {
+      if (!inView.has(edge.source) || !inView.has(edge.target)) return;
+      const dotted = edge.backEdge || isMore(nodeById.get(edge.target));
+      mm.push(dotted ? `${edge.source} -.-> ${edge.target}` : `${edge.source} --> ${edge.target}`);
+    });
+
+    return mm;
+  }
+
+  const rootIdsOf = (group: any) => (group.nodeIds || []).filter((id: string) => nodeById.has(id));
+
+  // Um pedaço = WH + tudo abaixo deles; nós compartilhados aparecem em todos os pedaços que os alcançam
+  const pieceOf = (title: string, rootIds: string[], pieceGroups: any[]) => {
+    const ids = descendantsOf(rootIds);
+    return { title, rootIds, groups: pieceGroups, nodes: nodes.filter(n => ids.has(n.id)) };
+  };
+
+  const diagrams: Array<{ title: string; mermaid: string; nodeCount: number }> = [];
+  let mermaid: string;
+
+  if (!maxNodesPerDiagram || nodes.length <= maxNodesPerDiagram) {
+    mermaid = renderFlowchart(nodes, groups).join("\n");
+    diagrams.push({ title: "Hypothesis Network", mermaid, nodeCount: nodes.length });
+  } else {
+    // Um pedaço por grupo; grupo que ainda passa do limite vira um pedaço por WH
+    const candidates: any[] = [];
+    groups.forEach(group => {
+      const piece = pieceOf(groupTitle(group), rootIdsOf(group), [group]);
+      if (piece.nodes.length <= maxNodesPerDiagram || piece.rootIds.length === 1) {
+        if (piece.nodes.length > maxNodesPerDiagram) {
+          debug.push(`"${piece.title}" has ${piece.nodes.length} nodes under a single WH; kept as one diagram`);
+        }
+        candidates.push(piece);
+        return;
+      }
+      piece.rootIds.forEach((rootId: string) => {
+        const root = nodeById.get(rootId);
+        candidates.push(pieceOf(`${groupTitle(group)}: ${root.title || rootId}`, [rootId], []));
+      });
+    });
+
+    // Pedaços pequenos consecutivos dividem um diagrama até maxNodesPerDiagram
+    // (centenas de grupos de um WH viram poucos diagramas, não um por grupo)
+    const pieces: any[] = [];
+    let bin: any[] = [];
+    let binIds = new Set<string>();
+    const flush = () => {
+      if (!bin.length) return;
+      pieces.push(bin.length === 1 ? bin[0] : {
+        title: `${bin[0].title} + ${bin.length - 1} more`,
+        rootIds: bin.flatMap(p => p.rootIds),
+        groups: bin.flatMap(p => p.groups),
+        nodes: nodes.filter(n => binIds.has(n.id))
+      });
+      bin = [];
+      binIds = new Set<string>();
+    };
+    candidates.forEach(piece => {
+      const merged = new Set<string>([...binIds, ...piece.nodes.map((n: any) => n.id)]);
+      if (bin.length && merged.size > maxNodesPerDiagram) {
+        flush();
+        piece.nodes.forEach((n: any) => binIds.add(n.id));
+      } else {
+        binIds = merged;
+      }
+      bin.push(piece);
+    });
+    flush();
+
+    // Nós que nenhum WH alcança (ex.: graphData sem grupos) ficam num pedaço próprio
+    const covered = new Set<string>(pieces.flatMap(p => p.nodes.map((n: any) => n.id)));
+    const leftover = nodes.filter(n => !covered.has(n.id));
+    if (leftover.length) {
+      pieces.push({ title: "Other nodes", rootIds: [], groups: [], nodes: leftover });
+    }
+
+    // Visão geral: um nó por pedaço, ligados quando compartilham nós
+    const ov: string[] = [`flowchart ${direction}`];
+    if (emitStyles) {
+      ov.push("classDef piece fill:#f8fafc,color:#111827,stroke:#94a3b8,stroke-width:1.5,rx:10,ry:10;");
+    }
+    pieces.forEach((piece, i) => {
+      const byType = new Map<string, number>();
+      piece.nodes.forEach((n: any) => { if (!isMore(n)) byType.set(n.type, (byType.get(n.type) || 0) + 1); });
+      const truncatedNote = piece.nodes.some(isMore) ? " · truncated" : "";
+      const summary = Array.from(byType.entries())
+        .sort((a, b) => {
+          const ia = typeOrder.indexOf(a[0]), ib = typeOrder.indexOf(b[0]);
+          return (ia === -1 ? 999 : ia) - (ib === -1 ? 999 : ib);
+        })
+        .map(([type, count]) => `${typeLabels.get(type) || type}: ${count}`)
+        .join(" · ") + truncatedNote;
+      ov.push(`piece_${i + 1}["${esc(`<b>${i + 1}. ${sanitizeForMermaid(piece.title)}</b><p> </p>${summary}`)}"]:::piece`);
+    });
+    pieces.forEach((a, i) => {
+      const aIds = new Set<string>(a.nodes.map((n: any) => n.id));
+      pieces.slice(i + 1).forEach((b, k) => {
+        const shared = b.nodes.filter((n: any) => aIds.has(n.id)).length;
+        if (shared) ov.push(`piece_${i + 1} ---|${shared} shared| piece_${i + k + 2}`);
+      });
+    });
+
+    mermaid = ov.join("\n");
+    diagrams.push({ title: "Overview", mermaid, nodeCount: pieces.length });
+    pieces.forEach((piece, i) => {
+      diagrams.push({
+        title: `${i + 1}. ${piece.title}`,
+        mermaid: renderFlowchart(piece.nodes, piece.groups).join("\n"),
+        nodeCount: piece.nodes.length
+      });
+    });
+    debug.push(`Graph has ${nodes.length} nodes (> ${maxNodesPerDiagram}); split into ${pieces.length} diagrams plus overview`);
+  }
+
+  // Contadores: os do metadata quando existem, senão contados por tipo
+  const counts: Record<string, number> = { ...(data.metadata?.counts || {}) };
+  if (!data.metadata?.counts) {
+    nodes.forEach(n => { counts[n.type] = (counts[n.type] || 0) + 1; });
+  }
+
+  debug.push(`Mermaid generated with ${diagrams.length} diagram(s), ${mermaid.split("\n").length} lines in the main one`);
+
+  return {
+    mermaid,
+    diagrams: JSON.stringify(diagrams),
+    diagramCount: diagrams.length,
+    counts,
+    debug
+  };
+}
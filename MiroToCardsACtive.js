@@ -2,12 +2,18 @@ export async function createCardsOnMiroBoard({
     miroBoardId,
     miroAccessToken,
     DataJson,
-    clearBoard  // Mantido apenas para compatibilidade - completamente ignorado
+    clearBoard, // Mantido apenas para compatibilidade - completamente ignorado
+    transport = {} // Fora do Zapier: { baseUrl, token, fetch }
   }: {
     miroBoardId: string;
     miroAccessToken: string;
     DataJson: string;
     clearBoard: boolean;
+    transport?: {
+      baseUrl?: string; // Padrão https://api.miro.com/v2
+      token?: string; // Padrão miroAccessToken quando não está no Zapier
+      fetch?: (url: string, init: any) => Promise<any>;
+    };
   }): Promise<{ 
     result: string;
     debugInfo?: string;
@@ -16,11 +22,18 @@ export async function createCardsOnMiroBoard({
     const debug = [];
     
     // Miro API configuration
-    const MIRO_API_BASE = `https://api.miro.com/v2/boards/${miroBoardId}`;
+    const MIRO_API_BASE = `${(transport.baseUrl || 'https://api.miro.com/v2').replace(/\/+$/, '')}/boards/${miroBoardId}`;
+    
+    // fetchWithZapier só existe dentro do Zapier; fora dele usa o fetch passado ou o global
+    const inZapier = !transport.fetch && typeof fetchWithZapier === 'function';
+    const miroFetch = transport.fetch || (inZapier ? fetchWithZapier : (typeof fetch === 'function' ? fetch : null));
+    if (!miroFetch) throw new Error('No fetch available: pass transport.fetch or run inside Zapier.');
     
-    // Headers básicos - SEM Authorization (Zapier adiciona automaticamente)
+    // Headers básicos - no Zapier SEM Authorization (Zapier adiciona automaticamente)
+    const miroToken = transport.token || (inZapier ? null : miroAccessToken);
     const miroHeaders = { 
-      'Content-Type': 'application/json' 
+      'Content-Type': 'application/json',
+      ...(miroToken && { Authorization: `Bearer ${miroToken}` })
     };
   
     // IMPORTANTE: Marcador para identificar elementos do sistema
@@ -212,7 +225,7 @@ export async function createCardsOnMiroBoard({
           ? `${MIRO_API_BASE}/items?limit=50&cursor=${cursor}`
           : `${MIRO_API_BASE}/items?limit=50`;
           
-        const response = await fetchWithZapier(url, {
+        const response = await miroFetch(url, {
           method: 'GET',
           headers: miroHeaders
         });
@@ -240,7 +253,7 @@ export async function createCardsOnMiroBoard({
             ? `${MIRO_API_BASE}/connectors?limit=50&cursor=${cursor}`
             : `${MIRO_API_BASE}/connectors?limit=50`;
             
-          const response = await fetchWithZapier(url, {
+          const response = await miroFetch(url, {
             method: 'GET',
             headers: miroHeaders
           });
@@ -311,6 +324,21 @@ export async function createCardsOnMiroBoard({
       childToParents.get(edge.target).push(edge.source);
     });
   
+    // Propriedades que já têm lugar fixo no card de cada tipo
+    const RENDERED_PROPERTIES = {
+      WH: ['description'],
+      BHQ: ['description', 'question'],
+      HB: ['description'],
+      VR: ['goal', 'summary'],
+      L: ['positiveSummary', 'negativeSummary']
+    };
+    
+    // "dueDate" -> "Due Date"
+    const humanizeKey = (key) => key
+      .replace(/[_-]+/g, ' ')
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/^./, c => c.toUpperCase());
+  
     // Process all nodes
     parsedData.nodes.forEach(node => {
       let nodeText = '';
@@ -360,8 +388,37 @@ export async function createCardsOnMiroBoard({
           }
           break;
         
+        case 'MORE':
+          // Marcador de truncamento: onde maxDepth/maxWinning parou o crawl
+          nodeText = `<b>${node.title || 'More not loaded'}</b>`;
+          nodeText += `<br/><br/>Not loaded in this run (${node.reason || 'truncated'})`;
+          if (node.nextCursor) {
+            nodeText += `<br/><b>Next cursor:</b> ${node.nextCursor}`;
+          }
+          break;
+        
         default:
-          nodeText = node.title || 'Untitled';
+          nodeText = `<b>${node.type}: ${node.title || 'Untitled'}</b>`;
+      }
+      
+      // Demais propriedades extraídas (owner, confidence, due date...)
+      const rendered = RENDERED_PROPERTIES[node.type] || [];
+      Object.entries(node.properties || {}).forEach(([key, value]) => {
+        if (rendered.includes(key) || !value) return;
+        nodeText += `<br/><b>${humanizeKey(key)}:</b> ${value}`;
+      });
+      
+      // Emoji da página antes do título; data de edição, estado e link para o Notion no rodapé
+      if (node.icon && !/^https?:/i.test(node.icon)) {
+        nodeText = nodeText.replace(/^<b>/, `<b>${node.icon} `);
+      }
+      const footer = [];
+      if (node.lastEditedTime) footer.push(`Edited ${String(node.lastEditedTime).slice(0, 10)}`);
+      if (node.inTrash) footer.push('⚠️ In trash');
+      else if (node.archived) footer.push('⚠️ Archived');
+      if (node.url) footer.push(`<a href="${node.url}">Open in Notion</a>`);
+      if (footer.length) {
+        nodeText += `<br/><br/><i>${footer.join(' · ')}</i>`;
       }
       
       nodes.set(node.id, {
@@ -443,6 +500,9 @@ export async function createCardsOnMiroBoard({
       });
       
       parsedData.edges.forEach(edge => {
+        // Edges que fecham ciclos não entram na hierarquia do layout
+        if (edge.backEdge) return;
+        
         const parent = graph.nodes.get(edge.source);
         const child = graph.nodes.get(edge.target);
         
@@ -785,7 +845,7 @@ export async function createCardsOnMiroBoard({
       };
       
       try {
-        const response = await fetchWithZapier(`${MIRO_API_BASE}/shapes`, {
+        const response = await miroFetch(`${MIRO_API_BASE}/shapes`, {
           method: 'POST',
           headers: miroHeaders,
           body: JSON.stringify(statusBody)
@@ -811,7 +871,7 @@ export async function createCardsOnMiroBoard({
       };
       
       try {
-        await fetchWithZapier(`${MIRO_API_BASE}/shapes/${statusCardId}`, {
+        await miroFetch(`${MIRO_API_BASE}/shapes/${statusCardId}`, {
           method: 'PATCH',
           headers: miroHeaders,
           body: JSON.stringify(updateBody)
@@ -826,7 +886,7 @@ export async function createCardsOnMiroBoard({
       if (!statusCardId) return;
       
       try {
-        await fetchWithZapier(`${MIRO_API_BASE}/items/${statusCardId}`, {
+        await miroFetch(`${MIRO_API_BASE}/items/${statusCardId}`, {
           method: 'DELETE',
           headers: miroHeaders
         });
@@ -858,7 +918,7 @@ export async function createCardsOnMiroBoard({
       const shape = existingElements.shapes.get(nodeId);
       if (shape) {
         try {
-          await fetchWithZapier(`${MIRO_API_BASE}/items/${shape.id}`, {
+          await miroFetch(`${MIRO_API_BASE}/items/${shape.id}`, {
             method: 'DELETE',
             headers: miroHeaders
           });
@@ -894,6 +954,7 @@ export async function createCardsOnMiroBoard({
       const fillColor = style?.backgroundColor || style?.fillColor || "#6b7280";
       const textColor = style?.textColor || "#ffffff";
       const borderColor = style?.borderColor || "#374151";
+      const borderStyle = style?.borderStyle || "normal";
       
       const updateBody = {
         data: {
@@ -908,12 +969,12 @@ export async function createCardsOnMiroBoard({
           color: textColor,
           borderColor: borderColor,
           borderWidth: "2",
-          borderStyle: "normal"
+          borderStyle: borderStyle
         }
       };
   
       try {
-        const response = await fetchWithZapier(`${MIRO_API_BASE}/shapes/${existingShape.id}`, {
+        const response = await miroFetch(`${MIRO_API_BASE}/shapes/${existingShape.id}`, {
           method: 'PATCH',
           headers: miroHeaders,
           body: JSON.stringify(updateBody)
@@ -949,6 +1010,7 @@ export async function createCardsOnMiroBoard({
       const fillColor = style?.backgroundColor || style?.fillColor || "#6b7280";
       const textColor = style?.textColor || "#ffffff";
       const borderColor = style?.borderColor || "#374151";
+      const borderStyle = style?.borderStyle || "normal";
       
       let shape = style?.shape || "round_rectangle";
       if (shape === "rounded_rectangle") {
@@ -969,7 +1031,7 @@ export async function createCardsOnMiroBoard({
           color: textColor,
           borderColor: borderColor,
           borderWidth: "2",
-          borderStyle: "normal"
+          borderStyle: borderStyle
         },
         position: {
           x: pos.x,
@@ -982,7 +1044,7 @@ export async function createCardsOnMiroBoard({
       };
   
       try {
-        const response = await fetchWithZapier(`${MIRO_API_BASE}/shapes`, {
+        const response = await miroFetch(`${MIRO_API_BASE}/shapes`, {
           method: 'POST',
           headers: miroHeaders,
           body: JSON.stringify(shapeBody)
@@ -1051,7 +1113,7 @@ export async function createCardsOnMiroBoard({
       
       if (!connectionExists) {
         try {
-          await fetchWithZapier(`${MIRO_API_BASE}/connectors/${connector.id}`, {
+          await miroFetch(`${MIRO_API_BASE}/connectors/${connector.id}`, {
             method: 'DELETE',
             headers: miroHeaders
           });
@@ -1106,9 +1168,19 @@ export async function createCardsOnMiroBoard({
         shape: "elbowed",
         captions: []
       };
+      
+      // Edge que fecha um ciclo (Learning voltando para uma hipótese acima): tracejada e curva
+      if (edge.backEdge) {
+        connectorBody.startItem.position = { x: "100%", y: "50%" };
+        connectorBody.endItem.position = { x: "100%", y: "50%" };
+        connectorBody.style.strokeColor = "#dc2626";
+        connectorBody.style.strokeStyle = "dashed";
+        connectorBody.shape = "curved";
+        connectorBody.captions = [{ content: "cycle" }];
+      }
   
       try {
-        const response = await fetchWithZapier(`${MIRO_API_BASE}/connectors`, {
+        const response = await miroFetch(`${MIRO_API_BASE}/connectors`, {
           method: 'POST',
           headers: miroHeaders,
           body: JSON.stringify(connectorBody)
@@ -2,12 +2,22 @@ export async function manageNotionPageSections({
     pageId,
     targetBlockName,        // ex.: "Validation Roadmap Visualization"
     body,                   // string Mermaid OU JSON {"mermaid":"flowchart TD\n..."} (pode vir com ```mermaid```)
-    matchMode = "equals"    // "equals" | "startsWith" | "contains"
+                            // OU JSON {"diagrams":[{title, mermaid}]} -> um bloco de código por diagrama, título na legenda
+    matchMode = "equals",   // "equals" | "startsWith" | "contains"
+    transport = {},         // fora do Zapier: { baseUrl, token, fetch, notionVersion }
+    notionVersion = "2025-09-03" // blocos e páginas não mudam entre versões; "2022-06-28" continua aceita
   }: {
     pageId: string;
     targetBlockName: string;
     body?: string;
     matchMode?: "equals" | "startsWith" | "contains";
+    transport?: {
+      baseUrl?: string;
+      token?: string;
+      fetch?: (url: string, init: any) => Promise<any>;
+      notionVersion?: string; // tem precedência sobre notionVersion
+    };
+    notionVersion?: string;
   }): Promise<{
     replaced: boolean;
     deletedCount: number;
@@ -29,9 +39,19 @@ export async function manageNotionPageSections({
   
     // body pode ser string mermaid ou JSON { mermaid }
     const safeParse = <T=any>(s?: string): T | null => { try { return s ? JSON.parse(s) : null; } catch { return null; } };
-    const parsed = safeParse<Record<string, string>>(body) || {};
+    const parsed = safeParse<Record<string, any>>(body) || {};
+
+    // diagrams pode vir como array ou como a string JSON devolvida pelo gerador de Mermaid
+    const rawDiagrams = typeof parsed.diagrams === "string" ? safeParse<any[]>(parsed.diagrams) : parsed.diagrams;
+    const diagrams: Array<{ title: string; text: string }> = Array.isArray(rawDiagrams)
+      ? rawDiagrams
+          .map((d: any) => ({ title: String(d?.title || "").trim(), text: String(d?.mermaid ?? "") }))
+          .filter(d => d.text.trim())
+      : [];
+    if (diagrams.length) DEBUG.push(`Body com ${diagrams.length} diagramas.`);
+
     // depois: não trime o conteúdo; use trim só para checar vazio
-    let mermaidText = (parsed.mermaid ?? body ?? "").toString();
+    let mermaidText = diagrams.length ? diagrams[0].text : (parsed.mermaid ?? body ?? "").toString();
     if (!mermaidText.trim()) {
       return {
         replaced: false, deletedCount: 0, appendedCount: 0, anchored: false, anchorCreated: false,
@@ -42,8 +62,11 @@ export async function manageNotionPageSections({
     }
     // tira cercas ```mermaid ... ```
     const fenceRe = /^```(?:mermaid)?\s*([\s\S]*?)\s*```$/i;
-    const m = mermaidText.match(fenceRe);
-    if (m) mermaidText = m[1];
+    const stripFence = (text: string) => {
+      const m = text.match(fenceRe);
+      return m ? m[1] : text;
+    };
+    mermaidText = stripFence(mermaidText);
   
     if (!mermaidText) {
       return {
@@ -99,10 +122,19 @@ export async function manageNotionPageSections({
   
     return parts;
   }
-    const mermaidChunks = chunkMermaidSafe(mermaidText);
   
     // ---------- headers ----------
-    const H = { "Notion-Version": "2022-06-28", "Content-Type": "application/json" };
+    const H = {
+      "Notion-Version": transport.notionVersion || notionVersion || "2025-09-03",
+      "Content-Type": "application/json",
+      ...(transport.token && { Authorization: `Bearer ${transport.token}` })
+    };
+    const API = (transport.baseUrl || "https://api.notion.com/v1").replace(/\/+$/, "");
+    // fetchWithZapier só existe dentro do Zapier
+    const doFetch = transport.fetch
+      || (typeof fetchWithZapier === "function" ? fetchWithZapier : null)
+      || (typeof fetch === "function" ? fetch : null);
+    if (!doFetch) throw new Error("Nenhum fetch disponível: passe transport.fetch ou rode dentro do Zapier");
   
     // ---------- utils ----------
     const TEXTUAL_TYPES = new Set([
@@ -130,7 +162,7 @@ export async function manageNotionPageSections({
   
     // HTTP robusto (sem reler body)
     async function http(url: string, init: RequestInit, label?: string) {
-      const res = await fetchWithZapier(url, init);
+      const res = await doFetch(url, init);
       if (res.status >= 400) {
         let txt = "";
         try {
@@ -141,13 +173,15 @@ export async function manageNotionPageSections({
         if (!(res as any).clone) throw new Error(`HTTP ${res.status} ${res.statusText}: ${txt}`);
       }
       await (res as any).throwErrorIfNotOk?.();
+      // fetch comum não tem throwErrorIfNotOk
+      if (res.status >= 400) throw new Error(`HTTP ${res.status} ${res.statusText}`);
       return res;
     }
   
     async function listChildrenAll(parentId: string): Promise<any[]> {
       let results: any[] = [], cursor: string|undefined, more = true;
       while (more) {
-        const url = `https://api.notion.com/v1/blocks/${encodeURIComponent(parentId)}/children?page_size=100${cursor ? `&start_cursor=${encodeURIComponent(cursor)}` : ""}`;
+        const url = `${API}/blocks/${encodeURIComponent(parentId)}/children?page_size=100${cursor ? `&start_cursor=${encodeURIComponent(cursor)}` : ""}`;
         const res = await http(url, { method: "GET", headers: H }, `GET children ${parentId} (cursor=${cursor||"-"})`);
         const data = await res.json();
         results = results.concat(data?.results || []);
@@ -157,11 +191,11 @@ export async function manageNotionPageSections({
     }
   
     async function deleteBlock(id: string) {
-      await http(`https://api.notion.com/v1/blocks/${encodeURIComponent(id)}`, { method: "DELETE", headers: H }, `DELETE block ${id}`);
+      await http(`${API}/blocks/${encodeURIComponent(id)}`, { method: "DELETE", headers: H }, `DELETE block ${id}`);
     }
   
     // ---------- 1) garante página ativa ----------
-    await http(`https://api.notion.com/v1/pages/${encodeURIComponent(PAGE_ID)}`, {
+    await http(`${API}/pages/${encodeURIComponent(PAGE_ID)}`, {
       method: "PATCH",
       headers: H,
       body: JSON.stringify({ archived: false })
@@ -203,7 +237,7 @@ export async function manageNotionPageSections({
         type: "heading_1",
         heading_1: { rich_text: [{ type: "text", text: { content: TITLE } }] }
       }];
-      await http(`https://api.notion.com/v1/blocks/${encodeURIComponent(PAGE_ID)}/children`, {
+      await http(`${API}/blocks/${encodeURIComponent(PAGE_ID)}/children`, {
         method: "PATCH",
         headers: H,
         body: JSON.stringify({ children: newHeading })
@@ -244,24 +278,40 @@ export async function manageNotionPageSections({
       break; // parou ao achar outro tipo
     }
   
-    // ---------- 4) insere novo mermaid com chunks seguros ----------
-    const chunks = chunkMermaidSafe(mermaidText);
-    const richText = chunks.map(chunk => ({
-      type: "text",
-      text: { content: chunk }
-    }));
-  
-    const newBlocks = [{
-      object: "block",
-      type: "code",
-      code: { rich_text: richText, language: "mermaid" }
-    }];
-  
-    await http(`https://api.notion.com/v1/blocks/${encodeURIComponent(parentId)}/children`, {
-      method: "PATCH",
-      headers: H,
-      body: JSON.stringify({ children: newBlocks, after: anchorId })
-    }, `PATCH insert mermaid after heading "${TITLE}"`);
+    // ---------- 4) insere novo(s) mermaid com chunks seguros ----------
+    const toInsert = diagrams.length
+      ? diagrams.map(d => ({ title: d.title, text: stripFence(d.text) }))
+      : [{ title: "", text: mermaidText }];
+
+    const newBlocks = toInsert.map(({ title, text }) => {
+      const richText = chunkMermaidSafe(text).map(chunk => ({
+        type: "text",
+        text: { content: chunk }
+      }));
+      return {
+        object: "block",
+        type: "code",
+        code: {
+          rich_text: richText,
+          language: "mermaid",
+          ...(title && { caption: [{ type: "text", text: { content: title.slice(0, 2000) } }] })
+        }
+      };
+    });
+  
+    // O Notion aceita no máximo 100 filhos por PATCH: cada lote entra depois do último bloco do anterior
+    const MAX_CHILDREN = 100;
+    let after = anchorId;
+    for (let i = 0; i < newBlocks.length; i += MAX_CHILDREN) {
+      const batch = newBlocks.slice(i, i + MAX_CHILDREN);
+      const res = await http(`${API}/blocks/${encodeURIComponent(parentId)}/children`, {
+        method: "PATCH",
+        headers: H,
+        body: JSON.stringify({ children: batch, after })
+      }, `PATCH insert mermaid after heading "${TITLE}" (${i + 1}-${i + batch.length})`);
+      const created = (await res.json())?.results || [];
+      after = created[created.length - 1]?.id || after;
+    }
   
     return {
       replaced: true,
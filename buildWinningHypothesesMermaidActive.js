@@ -1,6 +1,8 @@
 // Build JSON para Miro - VERSÃO COM AGRUPAMENTO POR HB COMPARTILHADOS
+// A cadeia WH → (BHQ) → HB → VR → L → HB é descrita em chainSchema; novas camadas não exigem mudar o crawler
 export async function buildWinningHypothesesMermaid({
-  startWinningId, // Nome do database
+  startWinningId, // ID, URL ou nome do database (opcional com lineagePageId ou winningPageIds)
+  winningPageIds, // Opcional: só estas páginas root (IDs ou URLs, array ou separados por vírgula) em vez do database inteiro
   propertyNames = {
     wh_to_hb: "All Hypotheses Backlog",
     wh_to_bhq: "BHQ", // NEW: WH to BHQ property
@@ -16,27 +18,115 @@ export async function buildWinningHypothesesMermaid({
     vr: "Validation Roadmap",
     l: "BML Learnings"
   },
+  chainSchema, // Opcional: substitui a cadeia padrão montada a partir de propertyNames/dbTitles
+  propertyMap, // Opcional: { [tipo]: { chave: "Propriedade no Notion" } } extraídas para node.properties
+  previousGraphData, // Opcional: graphData de uma execução anterior para o modo incremental
   maxWinning = 500,
+  winningCursor, // Opcional: metadata.truncated.winningCursor de uma execução cortada por maxWinning (mesmo filtro e sorts)
+  groupByDescendants = [], // Tipos mais fundos na cadeia (ex.: ["VR", "L"]) que também agrupam WH quando compartilhados
   maxDepth = 10,
   emitStyles = true,
+  rateLimit = {},
+  transport = {}, // Fora do Zapier: { baseUrl, token, fetch, notionVersion }
+  notionVersion = "2025-09-03", // "2022-06-28" volta às queries em /databases (sem data sources)
+  filter, // Filtro do Notion (objeto ou JSON) aplicado à query do database inicial
+  sorts,
+  status, // Atalhos combinados com AND: valores separados por vírgula viram OR
+  tag,
+  owner,
+  dateFrom,
+  dateTo,
+  filterProperties = {
+    status: "Status",
+    tag: "Tags",
+    owner: "Owner",
+    date: "" // Vazio: usa created_time
+  },
+  funnelProperties = {
+    positive: "positiveSummary", // Chaves em node.properties dos Learnings
+    negative: "negativeSummary"
+  },
+  integrityCheck = false, // Relatório de HB órfãos, VR sem Learnings, Learnings sem HB e relações quebradas
+  lineagePageId, // Opcional: página HB, VR ou L; sobe pelas relações até os nós root que a motivaram
+  lineageDescendants = false, // Com lineagePageId: também desce a cadeia a partir da página
   insert
 }: {
-  startWinningId: string;
+  startWinningId?: string;
+  winningPageIds?: string | string[];
   propertyNames?: {
     wh_to_hb: string;
+    wh_to_bhq?: string;
+    bhq_to_hb?: string;
     hb_to_vr: string;
     vr_to_l?: string;
     l_to_hb?: string;
   };
   dbTitles?: {
     wh: string;
+    bhq?: string;
     hb: string;
     vr: string;
     l?: string;
   };
+  chainSchema?: string | {
+    root: string; // Tipo dos nós que vêm do database inicial
+    nodeTypes: Array<{
+      type: string; // Prefixo do nó, ex.: "HB"
+      label?: string; // Rótulo exibido pelos renderers, ex.: "BML"
+      database?: string; // Título do database onde o tipo vive
+      countAs?: string; // Nome do contador em metadata.counts (e do campo flat `${countAs}Count`)
+      properties?: Record<string, string>; // chave em node.properties -> nome da propriedade no Notion
+      style?: Record<string, any>;
+    }>;
+    relations: Array<{
+      key: string; // Também usado como tipo da edge
+      from: string;
+      to: string;
+      property?: string; // Propriedade de relação no Notion; sem ela a relação é ignorada
+      optional?: boolean; // Não registra no debug quando a propriedade não existe na página
+      unless?: string; // Não segue esta relação se a relação indicada trouxe alvos na mesma camada
+    }>;
+    groupBy?: string[]; // Relações do root cujos alvos compartilhados agrupam os nós root
+  };
+  propertyMap?: string | Record<string, Record<string, string>>;
+  previousGraphData?: string;
   maxWinning?: number;
+  winningCursor?: string;
+  groupByDescendants?: string[];
   maxDepth?: number;
   emitStyles?: boolean;
+  rateLimit?: {
+    requestsPerSecond?: number; // Padrão 3 (limite médio do Notion); 0 desliga o throttle
+    maxRetries?: number; // Tentativas extras para 429, 5xx e falhas de rede
+    maxBackoffMs?: number; // Teto do backoff exponencial (Retry-After de um 429 pode pedir mais)
+  };
+  transport?: {
+    baseUrl?: string; // Padrão https://api.notion.com/v1 (ex.: um mock local)
+    token?: string; // Vira "Authorization: Bearer"; no Zapier a autenticação já vem da conexão
+    fetch?: (url: string, init: any) => Promise<any>; // Padrão fetchWithZapier, senão o fetch global
+    notionVersion?: string; // Tem precedência sobre notionVersion
+  };
+  notionVersion?: string;
+  filter?: string | Record<string, any>;
+  sorts?: string | Array<Record<string, any>>;
+  status?: string;
+  tag?: string;
+  owner?: string; // ID, nome ou e-mail do usuário
+  dateFrom?: string; // ISO 8601
+  dateTo?: string;
+  filterProperties?: {
+    status?: string;
+    tag?: string;
+    owner?: string;
+    date?: string;
+  };
+  funnelProperties?: {
+    positive?: string;
+    negative?: string;
+  };
+  integrityCheck?: boolean;
+  lineagePageId?: string; // ID ou URL da página
+  lineageDescendants?: boolean;
   insert?: {
     targetPageId: string;
     tagName: string
@@ -50,40 +140,354 @@ export async function buildWinningHypothesesMermaid({
   databaseName: string;
   processedAt: string;
   winningCount: number;
+  bhqCount: number;
   backlogsCount: number;
   validationsCount: number;
   learningsCount: number;
+  incremental: boolean;
+  reusedRelationCount: number;
+  requestCount: number;
+  retryCount: number;
+  waitMs: number; // Tempo de relógio com requisições paradas no throttle ou em backoff
+  appliedFilter: string; // JSON do filtro enviado ao Notion ("" sem filtro)
+  cycleCount: number;
+  cyclePaths: string; // Um ciclo por linha: "HB_x -> VR_y -> L_z -> HB_x"
+  funnelMetrics: string; // JSON com as métricas de funil por WH (mesmo conteúdo de metadata.funnel)
+  funnelSummary: string; // Uma linha por WH
+  integrityReport: string; // JSON { generatedAt, scope, summary, issues[] } ("" com integrityCheck desligado)
+  integrityIssueCount: number;
+  lineageRootCount: number; // Nós root alcançados a partir de lineagePageId (0 fora do modo linhagem)
+  truncated: boolean; // maxWinning ou maxDepth deixaram páginas de fora (detalhes em metadata.truncated)
+  unexploredCount: number;
+  winningCursor: string; // Passe como winningCursor para continuar a query root ("" se ela terminou)
   debugLog: string; // Debug como string única
+  [countField: string]: string | number | boolean; // `${countAs}Count` de tipos extras do schema
 }> {
-  const H = { "Notion-Version": "2022-06-28", "Content-Type": "application/json" } as Record<string,string>;
+  const H = {
+    "Notion-Version": transport.notionVersion || notionVersion || "2025-09-03",
+    "Content-Type": "application/json",
+    ...(transport.token && { Authorization: `Bearer ${transport.token}` })
+  } as Record<string,string>;
+  const API = (transport.baseUrl || "https://api.notion.com/v1").replace(/\/+$/, "");
+  // fetchWithZapier só existe dentro do Zapier; fora dele usa o fetch passado ou o global
+  const doFetch = transport.fetch
+    || (typeof fetchWithZapier === "function" ? fetchWithZapier : null)
+    || (typeof fetch === "function" ? fetch : null);
+  if (!doFetch) throw new Error("No fetch available: pass transport.fetch or run inside Zapier.");
   const debug: string[] = [];
   const sanitizeId = (s?: string) => String(s || "").trim();
 
+  // Schema padrão: a mesma cadeia que antes era fixa no código
+  const defaultSchema = {
+    root: "WH",
+    nodeTypes: [
+      {
+        type: "WH", label: "WH", database: dbTitles.wh, countAs: "winning",
+        properties: { description: "Description" },
+        style: { backgroundColor: "#8b5cf6", textColor: "#ffffff", borderColor: "#4c1d95", borderWidth: 1.5, shape: "rounded_rectangle" }
+      },
+      {
+        type: "BHQ", label: "BHQ", database: dbTitles.bhq, countAs: "bhq",
+        properties: { description: "Description", question: "Question" },
+        style: { backgroundColor: "#ec4899", textColor: "#ffffff", borderColor: "#9f1239", borderWidth: 1.5, shape: "rounded_rectangle" }
+      },
+      {
+        type: "HB", label: "HB", database: dbTitles.hb, countAs: "backlogs",
+        properties: { description: "Description" },
+        style: { backgroundColor: "#3b82f6", textColor: "#ffffff", borderColor: "#1e3a8a", borderWidth: 1.5, shape: "rounded_rectangle" }
+      },
+      {
+        type: "VR", label: "VR", database: dbTitles.vr, countAs: "validations",
+        properties: { goal: "Goal", summary: "Summary" },
+        style: { backgroundColor: "#f59e0b", textColor: "#111827", borderColor: "#9a3412", borderWidth: 1.5, shape: "rounded_rectangle" }
+      },
+      {
+        type: "L", label: "BML", database: dbTitles.l, countAs: "learnings",
+        properties: { positiveSummary: "Positives Summary", negativeSummary: "Negatives Summary" },
+        style: { backgroundColor: "#10b981", textColor: "#ffffff", borderColor: "#064e3b", borderWidth: 1.5, shape: "rounded_rectangle" }
+      }
+    ],
+    relations: [
+      { key: "wh_to_bhq", from: "WH", to: "BHQ", property: propertyNames.wh_to_bhq },
+      // Com BHQ presente, os HB chegam via BHQ e a relação direta WH -> HB não é seguida
+      { key: "wh_to_hb", from: "WH", to: "HB", property: propertyNames.wh_to_hb, unless: "wh_to_bhq" },
+      { key: "bhq_to_hb", from: "BHQ", to: "HB", property: propertyNames.bhq_to_hb },
+      { key: "hb_to_vr", from: "HB", to: "VR", property: propertyNames.hb_to_vr },
+      { key: "vr_to_l", from: "VR", to: "L", property: propertyNames.vr_to_l, optional: true },
+      { key: "l_to_hb", from: "L", to: "HB", property: propertyNames.l_to_hb, optional: true }
+    ],
+    groupBy: ["wh_to_hb"]
+  };
+
+  // Etapas do funil e do relatório de integridade: por padrão os tipos com countAs backlogs/validations/learnings;
+  // chainSchema.funnel { hypothesis, validation, learning } aponta outros tipos e funnel: false desliga as métricas
+  const FUNNEL_STAGES: Record<string, string> = { hypothesis: "backlogs", validation: "validations", learning: "learnings" };
+  function resolveFunnel(schema: any): Record<string, string[]> | null {
+    if (schema.funnel === false) return null;
+    const types = new Set<string>(schema.nodeTypes.map((t: any) => t.type));
+    const funnel: Record<string, string[]> = {};
+    Object.entries(FUNNEL_STAGES).forEach(([stage, countAs]) => {
+      const given = schema.funnel?.[stage];
+      const list: string[] = given !== undefined
+        ? (Array.isArray(given) ? given : [given])
+        : schema.nodeTypes.filter((t: any) => (t.countAs || String(t.type).toLowerCase()) === countAs).map((t: any) => t.type);
+      const unknown = list.filter(t => !types.has(t));
+      if (unknown.length) {
+        throw new Error(`chainSchema.funnel.${stage} names unknown types: ${unknown.join(", ")}.`);
+      }
+      if (!list.length) {
+        throw new Error(
+          `chainSchema has no node type for the funnel stage "${stage}": set countAs "${countAs}" on one, ` +
+          `pass chainSchema.funnel { hypothesis, validation, learning } or funnel: false.`
+        );
+      }
+      funnel[stage] = list;
+    });
+    return funnel;
+  }
+
+  function loadChainSchema(input: any) {
+    if (!input) return { ...defaultSchema, funnel: resolveFunnel(defaultSchema) };
+    let schema = input;
+    if (typeof input === "string") {
+      try {
+        schema = JSON.parse(input);
+      } catch (err) {
+        throw new Error(`chainSchema is not valid JSON: ${err}`);
+      }
+    }
+    if (!Array.isArray(schema?.nodeTypes) || !schema.nodeTypes.length) {
+      throw new Error("chainSchema.nodeTypes must be a non-empty array.");
+    }
+    const types = new Set<string>(schema.nodeTypes.map((t: any) => t?.type));
+    if (types.size !== schema.nodeTypes.length || types.has(undefined as any)) {
+      throw new Error("chainSchema.nodeTypes must have unique, non-empty \"type\" values.");
+    }
+    const root = schema.root || schema.nodeTypes[0].type;
+    if (!types.has(root)) {
+      throw new Error(`chainSchema.root "${root}" is not one of the node types.`);
+    }
+    const relations = Array.isArray(schema.relations) ? schema.relations : [];
+    const keys = new Set<string>();
+    relations.forEach((rel: any) => {
+      if (!rel?.key || keys.has(rel.key)) {
+        throw new Error(`chainSchema relation keys must be unique and non-empty (got "${rel?.key}").`);
+      }
+      if (!types.has(rel.from) || !types.has(rel.to)) {
+        throw new Error(`chainSchema relation "${rel.key}" links unknown types ${rel.from} -> ${rel.to}.`);
+      }
+      keys.add(rel.key);
+    });
+    return {
+      root,
+      nodeTypes: schema.nodeTypes,
+      relations,
+      groupBy: Array.isArray(schema.groupBy) ? schema.groupBy : relations.filter((r: any) => r.from === root).map((r: any) => r.key),
+      funnel: resolveFunnel(schema)
+    };
+  }
+
+  const schema = loadChainSchema(chainSchema);
+  const typeIndex = new Map<string, number>(schema.nodeTypes.map((t: any, i: number) => [t.type, i]));
+  const typeDef = (nodeType: string) => schema.nodeTypes[typeIndex.get(nodeType) ?? -1];
+  const countKey = (nodeType: string) => typeDef(nodeType)?.countAs || nodeType.toLowerCase();
+  const outgoingRelations = (nodeType: string) => schema.relations.filter((r: any) => r.from === nodeType && r.property);
+
+  // Agendador único de chamadas ao Notion: espaça as requisições (~3/s por padrão),
+  // respeita Retry-After em 429 e refaz 5xx / falhas de rede com backoff exponencial e jitter
+  const requestsPerSecond = rateLimit.requestsPerSecond ?? 3;
+  const maxRetries = rateLimit.maxRetries ?? 5;
+  const maxBackoffMs = rateLimit.maxBackoffMs ?? 30000;
+  const minIntervalMs = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+  const requestStats = { requests: 0, retries: 0, rateLimited: 0, waitMs: 0 };
+  let nextSlotAt = 0;
+  let pausedUntil = 0; // Retry-After de um 429: vale também para quem já tinha reservado um horário
+  const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+  // waitMs é tempo de relógio com alguma requisição parada, não a soma das esperas (que se sobrepõem)
+  let waiting = 0;
+  let waitingSince = 0;
+  async function wait(ms: number) {
+    if (waiting++ === 0) waitingSince = Date.now();
+    try {
+      await sleep(ms);
+    } finally {
+      if (--waiting === 0) requestStats.waitMs += Date.now() - waitingSince;
+    }
+  }
+
+  async function acquireSlot() {
+    for (;;) {
+      const now = Date.now();
+      const slot = Math.max(now, nextSlotAt, pausedUntil);
+      nextSlotAt = slot + minIntervalMs;
+      if (slot > now) await wait(slot - now);
+      // Um 429 durante a espera adia o horário reservado: reserva de novo depois da pausa
+      if (Date.now() >= pausedUntil) return;
+    }
+  }
+
+  function retryDelayMs(res: any, attempt: number): number {
+    // maxBackoffMs limita só o backoff calculado; Retry-After é o mínimo que o Notion pediu
+    const retryAfter = Number(res?.headers?.get?.("retry-after"));
+    const base = Math.min(500 * 2 ** attempt, maxBackoffMs);
+    const backoff = Math.round(base / 2 + Math.random() * base / 2);
+    return res?.status === 429 && retryAfter > 0 ? Math.max(retryAfter * 1000, backoff) : backoff;
+  }
+
   async function http(url: string, init: RequestInit, label?: string) {
-    const res = await fetchWithZapier(url, init);
-    if (res.status >= 400) {
-      const txt = await res.text().catch(()=>"");
-      debug.push(`HTTP ${init.method||"GET"} ${label||url} -> ${res.status} ${res.statusText} | ${txt}`);
+    for (let attempt = 0; ; attempt++) {
+      await acquireSlot();
+      requestStats.requests++;
+      
+      let res: any;
+      try {
+        res = await doFetch(url, init);
+      } catch (err) {
+        if (attempt >= maxRetries) throw err;
+        res = null;
+        debug.push(`HTTP ${init.method||"GET"} ${label||url} failed: ${err}`);
+      }
+      
+      const retryable = !res || res.status === 429 || res.status >= 500;
+      if (retryable && attempt < maxRetries) {
+        const delay = retryDelayMs(res, attempt);
+        requestStats.retries++;
+        if (res?.status === 429) {
+          requestStats.rateLimited++;
+          // Todas as requisições pendentes esperam junto (acquireSlot confere pausedUntil depois de dormir)
+          pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+        }
+        debug.push(`HTTP ${init.method||"GET"} ${label||url} -> ${res ? res.status : "network error"}, retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+        await wait(delay);
+        continue;
+      }
+      
+      if (res.status >= 400) {
+        const txt = await res.text().catch(()=>"");
+        debug.push(`HTTP ${init.method||"GET"} ${label||url} -> ${res.status} ${res.statusText} | ${txt}`);
+      }
+      try {
+        await res.throwErrorIfNotOk?.();
+        // fetch comum não tem throwErrorIfNotOk: falha do mesmo jeito que no Zapier
+        if (res.status >= 400 && !res.throwErrorIfNotOk) {
+          throw new Error(`HTTP ${res.status} ${res.statusText || ""} (${label||url})`);
+        }
+      } catch (err) {
+        if (err && typeof err === "object" && !(err as any).status) (err as any).status = res.status;
+        throw err;
+      }
+      return res;
     }
-    await res.throwErrorIfNotOk?.();
-    return res;
   }
 
-  // Buscar database ID pelo nome
-  async function getDatabaseIdByName(dbName: string): Promise<string | null> {
-    debug.push(`Searching for database named: ${dbName}`);
+  const richTextToPlain = (arr: any[]) =>
+    (arr || []).map((x: any) => x?.plain_text ?? x?.text?.content ?? "").join("").trim();
+
+  // Extrai o ID (32 hex, com ou sem hífens) de um ID puro ou de uma URL do Notion
+  function parseNotionId(input: string): string | null {
+    const raw = sanitizeId(input);
+    let candidate = raw;
+    if (/^https?:\/\//i.test(raw)) {
+      // Ignora a query string: ?v=<id> é a view, não o database
+      candidate = raw.split(/[?#]/)[0];
+    } else if (!/^[0-9a-f-]+$/i.test(raw)) {
+      return null;
+    }
+    // O ID fica no fim do slug ("Titulo-da-Pagina-<id>"): não pode encostar em outros dígitos hex
+    const matches = candidate.match(/(?<![0-9a-f])[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}(?![0-9a-f])/gi);
+    if (!matches) return null;
+    const hex = matches[matches.length - 1].replace(/-/g, "").toLowerCase();
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  // A partir da 2025-09-03 um database agrupa uma ou mais fontes de dados (data sources):
+  // propriedades, queries e o parent das páginas passam a ser por fonte
+  const useDataSources = H["Notion-Version"] >= "2025-09-03";
+  type DataSource = { id: string; name: string; properties: Record<string, any> };
+  const databaseCache = new Map<string, { id: string; title: string; url?: string; parent?: any; properties: Record<string, any>; dataSources: DataSource[] }>();
+  const dataSourceParents = new Map<string, string>(); // data source -> database
+
+  async function getDataSource(dsId: string): Promise<DataSource> {
+    const res = await http(
+      `${API}/data_sources/${encodeURIComponent(dsId)}`,
+      { method: "GET", headers: H },
+      `GET /data_sources/${dsId}`
+    );
+    const ds = await res.json();
+    if (ds?.parent?.database_id) dataSourceParents.set(ds.id, ds.parent.database_id);
+    return { id: ds.id, name: richTextToPlain(ds.title), properties: ds.properties || {} };
+  }
+
+  // GET /databases/{id} nas duas versões. Com data sources as propriedades vêm das fontes
+  // (a primeira fonte que tiver o nome vence); sem data_sources na resposta, usa o modelo antigo
+  async function getDatabase(id: string) {
+    if (databaseCache.has(id)) return databaseCache.get(id)!;
+    const res = await http(
+      `${API}/databases/${encodeURIComponent(id)}`,
+      { method: "GET", headers: H },
+      `GET /databases/${id}`
+    );
+    const db = res.ok === false ? null : await res.json();
+    if (!db?.id) return null;
     
-    const body = {
-      query: dbName,
-      filter: {
-        value: "database",
-        property: "object"
+    const dataSources: DataSource[] = [];
+    if (useDataSources && Array.isArray(db.data_sources)) {
+      for (const ref of db.data_sources) {
+        dataSourceParents.set(ref.id, db.id);
+        dataSources.push(await getDataSource(ref.id));
       }
-    };
+      debug.push(`Database ${db.id} has ${dataSources.length} data source(s): ${dataSources.map(ds => ds.name || ds.id).join(", ")}`);
+    } else if (useDataSources) {
+      debug.push(`Database ${db.id} returned no data_sources, falling back to /databases/${db.id}/query`);
+    }
+    const properties = dataSources.length
+      ? Object.assign({}, ...dataSources.slice().reverse().map(ds => ds.properties))
+      : db.properties || {};
     
+    const database = { id: db.id, title: richTextToPlain(db.title), url: db.url, parent: db.parent, properties, dataSources };
+    databaseCache.set(db.id, database);
+    return database;
+  }
+
+  // Database pai de uma página: com data sources o parent é { type: "data_source_id", data_source_id, database_id }
+  const parentDatabaseId = (page: any): string | null =>
+    page?.parent?.database_id || dataSourceParents.get(page?.parent?.data_source_id) || null;
+
+  // Para páginas soltas (linhagem, winningPageIds) cujo parent só traz o data_source_id
+  async function resolveParentDatabaseId(page: any): Promise<string | null> {
+    const known = parentDatabaseId(page);
+    if (known || !page?.parent?.data_source_id) return known;
     try {
+      await getDataSource(page.parent.data_source_id);
+    } catch (err) {
+      debug.push(`Error fetching data source ${page.parent.data_source_id}: ${err}`);
+    }
+    return parentDatabaseId(page);
+  }
+
+  // Buscar database pelo título, percorrendo todas as páginas do /search
+  // (com data sources a busca é pelo título das fontes; várias fontes do mesmo database contam uma vez)
+  async function findDatabasesByName(dbName: string): Promise<any[]> {
+    debug.push(`Searching for database named: ${dbName}`);
+    
+    const matches: any[] = [];
+    let cursor: string | undefined;
+    let hasMore = true;
+    
+    while (hasMore) {
+      const body: any = {
+        query: dbName,
+        filter: {
+          value: useDataSources ? "data_source" : "database",
+          property: "object"
+        },
+        page_size: 100
+      };
+      if (cursor) body.start_cursor = cursor;
+      
       const res = await http(
-        'https://api.notion.com/v1/search',
+        `${API}/search`,
         {
           method: "POST",
           headers: H,
@@ -94,83 +498,294 @@ export async function buildWinningHypothesesMermaid({
       
       const data = await res.json();
       
-      if (Array.isArray(data?.results)) {
-        for (const result of data.results) {
-          if (result.object === 'database') {
-            const props = result?.title || [];
-            const title = props.map((x: any) => x?.plain_text ?? x?.text?.content ?? "").join("").trim();
-            
-            debug.push(`Found database candidate: "${title}" (ID: ${result.id})`);
-            
-            if (title.toLowerCase() === dbName.toLowerCase()) {
-              debug.push(`✓ Matched database: ${result.id}`);
-              return result.id;
-            }
-          }
+      (data?.results || []).forEach((result: any) => {
+        if (result?.object !== (useDataSources ? 'data_source' : 'database')) return;
+        const title = richTextToPlain(result?.title);
+        
+        debug.push(`Found database candidate: "${title}" (ID: ${result.id})`);
+        
+        if (title.toLowerCase() !== dbName.toLowerCase()) return;
+        if (!useDataSources) {
+          matches.push({ id: result.id, title, url: result.url, parent: result.parent, properties: result.properties });
+          return;
         }
-        debug.push(`No exact match found for database name: ${dbName}`);
+        const databaseId = result.parent?.database_id || result.id;
+        dataSourceParents.set(result.id, databaseId);
+        if (matches.some(m => m.id === databaseId)) return;
+        matches.push({ id: databaseId, title, url: result.url, parent: result.database_parent || result.parent, properties: result.properties });
+      });
+      
+      hasMore = !!data?.has_more;
+      cursor = data?.next_cursor || undefined;
+    }
+    
+    return matches;
+  }
+
+  // Resolve startWinningId: ID do database, URL do Notion ou título
+  async function resolveStartDatabase(input: string): Promise<{ id: string; title: string; properties: Record<string, any> }> {
+    const id = parseNotionId(input);
+    
+    if (id) {
+      debug.push(`Resolving database by ID: ${id}`);
+      let db: any = null;
+      try {
+        db = await getDatabase(id);
+      } catch (err) {
+        debug.push(`Error fetching database ${id}: ${err}`);
+        // Databases com várias data sources só respondem a partir da 2025-09-03
+        if ((err as any)?.status === 400 && !useDataSources) {
+          throw new Error(`Database ${id} cannot be read with Notion-Version ${H["Notion-Version"]} (databases with several data sources need 2025-09-03).`);
+        }
+      }
+      if (!db?.id) {
+        throw new Error(`Database ${id} not found. Check the ID/URL and make sure the database is shared with the integration.`);
       }
+      debug.push(`✓ Matched database: ${db.id}`);
+      return { id: db.id, title: db.title || input, properties: db.properties };
+    }
+    
+    const matches = await findDatabasesByName(input);
+    
+    if (!matches.length) {
+      debug.push(`No exact match found for database name: ${input}`);
+      throw new Error(`Database "${input}" not found. Please check the database name and ensure you have access to it.`);
+    }
+    
+    if (matches.length > 1) {
+      const candidates = matches.map(m => {
+        const parent = m.parent?.page_id ? `page ${m.parent.page_id}` : m.parent?.workspace ? "workspace" : m.parent?.type || "unknown parent";
+        return `- "${m.title}" (ID: ${m.id}, parent: ${parent}${m.url ? `, URL: ${m.url}` : ""})`;
+      });
+      throw new Error(
+        `Database name "${input}" is ambiguous: ${matches.length} databases match.\n${candidates.join("\n")}\n` +
+        `Pass the database ID or URL as startWinningId instead.`
+      );
+    }
+    
+    debug.push(`✓ Matched database: ${matches[0].id}`);
+    // Com data sources, as propriedades de todas as fontes (a busca só trouxe a fonte encontrada)
+    const db = useDataSources ? await getDatabase(matches[0].id) : null;
+    return { id: matches[0].id, title: db?.title || matches[0].title, properties: db?.properties || matches[0].properties || {} };
+  }
+
+  const queryErrors: string[] = [];
+  const truncatedQueries = new Map<string, string>(); // database -> next_cursor quando o limite cortou a query
+
+  const parseJsonInput = (value: any, name: string) => {
+    if (!value || typeof value !== "string") return value || undefined;
+    try {
+      return JSON.parse(value);
     } catch (err) {
-      debug.push(`Error searching for database: ${err}`);
+      throw new Error(`${name} is not valid JSON: ${err}`);
     }
+  };
+  const splitValues = (value?: string) =>
+    String(value || "").split(",").map(v => v.trim()).filter(Boolean);
+  const isUserId = (value: string) => /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i.test(value);
+
+  // Resolve nome ou e-mail para o ID do usuário (filtros de people só aceitam IDs)
+  async function resolveUserId(value: string): Promise<string> {
+    if (isUserId(value)) return value;
     
-    return null;
+    let cursor: string | undefined;
+    let hasMore = true;
+    while (hasMore) {
+      const url = `${API}/users?page_size=100${cursor ? `&start_cursor=${encodeURIComponent(cursor)}` : ""}`;
+      const res = await http(url, { method: "GET", headers: H }, "List users");
+      const data = await res.json();
+      const user = (data?.results || []).find((u: any) =>
+        String(u?.name || "").toLowerCase() === value.toLowerCase() ||
+        String(u?.person?.email || "").toLowerCase() === value.toLowerCase()
+      );
+      if (user) return user.id;
+      hasMore = !!data?.has_more;
+      cursor = data?.next_cursor || undefined;
+    }
+    throw new Error(`Owner "${value}" did not match any Notion user name or e-mail.`);
+  }
+
+  // Monta a condição conforme o tipo da propriedade no database
+  async function buildPropertyCondition(dbProperties: Record<string, any>, propName: string, value: string) {
+    const prop = dbProperties[propName];
+    if (!prop) {
+      throw new Error(`Filter property "${propName}" does not exist in the start database.`);
+    }
+    
+    switch (prop.type) {
+      case "status":
+        return { property: propName, status: { equals: value } };
+      case "select":
+        return { property: propName, select: { equals: value } };
+      case "multi_select":
+        return { property: propName, multi_select: { contains: value } };
+      case "people":
+      case "created_by":
+      case "last_edited_by":
+        return { property: propName, [prop.type]: { contains: await resolveUserId(value) } };
+      case "relation":
+        return { property: propName, relation: { contains: parseNotionId(value) || value } };
+      case "checkbox":
+        return { property: propName, checkbox: { equals: /^(true|yes|1)$/i.test(value) } };
+      case "number":
+        return { property: propName, number: { equals: Number(value) } };
+      case "title":
+      case "rich_text":
+        return { property: propName, [prop.type]: { contains: value } };
+      default:
+        throw new Error(`Filter property "${propName}" has unsupported type "${prop.type}".`);
+    }
+  }
+
+  // Combina o filtro bruto com os atalhos status/tag/owner/dateFrom/dateTo
+  async function buildStartFilter(dbProperties: Record<string, any>) {
+    const conditions: any[] = [];
+    const raw = parseJsonInput(filter, "filter");
+    if (raw) conditions.push(raw);
+    
+    const shorthands: Array<[string, string | undefined]> = [
+      [filterProperties.status || "Status", status],
+      [filterProperties.tag || "Tags", tag],
+      [filterProperties.owner || "Owner", owner]
+    ];
+    
+    for (const [propName, value] of shorthands) {
+      const values = splitValues(value);
+      if (!values.length) continue;
+      const options = [];
+      for (const v of values) options.push(await buildPropertyCondition(dbProperties, propName, v));
+      conditions.push(options.length === 1 ? options[0] : { or: options });
+    }
+    
+    if (dateFrom || dateTo) {
+      const range: any = {};
+      if (dateFrom) range.on_or_after = dateFrom;
+      if (dateTo) range.on_or_before = dateTo;
+      const dateProp = filterProperties.date;
+      if (dateProp) {
+        const type = dbProperties[dateProp]?.type;
+        if (!type) throw new Error(`Filter property "${dateProp}" does not exist in the start database.`);
+        // Para date/formula/rollup o Notion espera a condição dentro do tipo
+        conditions.push(type === "date"
+          ? { property: dateProp, date: range }
+          : { property: dateProp, [type]: { date: range } });
+      } else {
+        conditions.push({ timestamp: "created_time", created_time: range });
+      }
+    }
+    
+    if (!conditions.length) return undefined;
+    return conditions.length === 1 ? conditions[0] : { and: conditions };
   }
 
   // Buscar todas as páginas de um database com ordenação
-  async function getAllPagesFromDatabase(dbId: string): Promise<string[]> {
+  // As páginas retornadas pela query já vão para o pageCache, evitando um GET por página
+  // Com várias data sources, cada fonte é consultada em sequência (ordenação vale dentro de cada fonte)
+  // e o cursor de continuação leva a fonte: "<data source id>:<next_cursor>"
+  async function getAllPagesFromDatabase(
+    dbId: string,
+    limit: number = maxWinning,
+    query: { filter?: any; sorts?: any[]; startCursor?: string } = {}
+  ): Promise<string[]> {
     debug.push(`Fetching all pages from database: ${dbId}`);
     
     const pageIds: string[] = [];
-    let cursor: string | undefined;
-    let hasMore = true;
+    let sources: Array<string | null> = [null]; // null: /databases/{id}/query
+    if (useDataSources) {
+      try {
+        const db = await getDatabase(dbId);
+        if (db?.dataSources.length) sources = db.dataSources.map(ds => ds.id);
+      } catch (err) {
+        debug.push(`Error fetching database ${dbId}: ${err}`);
+        queryErrors.push(String(err));
+        return pageIds;
+      }
+    }
     
-    while (hasMore && pageIds.length < maxWinning) {
-      const body: any = {
-        page_size: 100,
-        sorts: [{
-          timestamp: "created_time",
-          direction: "ascending"
-        }]
-      };
-      
-      if (cursor) {
-        body.start_cursor = cursor;
+    let cursor: string | undefined = query.startCursor || undefined;
+    let first = 0;
+    if (cursor && sources.length > 1) {
+      const [dsId, rest] = cursor.split(":");
+      first = sources.indexOf(dsId);
+      if (first === -1) {
+        queryErrors.push(`Cursor ${cursor} does not belong to any data source of database ${dbId}`);
+        return pageIds;
       }
+      cursor = rest || undefined;
+    }
+    let nextCursor: string | null = null;
+    
+    for (let s = first; s < sources.length && pageIds.length < limit; s++) {
+      const dsId = sources[s];
+      const url = dsId
+        ? `${API}/data_sources/${encodeURIComponent(dsId)}/query`
+        : `${API}/databases/${encodeURIComponent(dbId)}/query`;
+      let hasMore = true;
       
-      try {
-        const res = await http(
-          `https://api.notion.com/v1/databases/${encodeURIComponent(dbId)}/query`,
-          {
-            method: "POST",
-            headers: H,
-            body: JSON.stringify(body)
-          },
-          `Query database ${dbId}`
-        );
+      while (hasMore && pageIds.length < limit) {
+        const body: any = {
+          // Nunca pede além do limite: assim o next_cursor continua exatamente de onde o corte parou
+          page_size: Math.min(100, limit - pageIds.length),
+          sorts: query.sorts || [{
+            timestamp: "created_time",
+            direction: "ascending"
+          }]
+        };
         
-        const data = await res.json();
+        if (query.filter) {
+          body.filter = query.filter;
+        }
         
-        if (Array.isArray(data?.results)) {
-          const ids = data.results.map((page: any) => page.id).filter(Boolean);
-          pageIds.push(...ids);
+        if (cursor) {
+          body.start_cursor = cursor;
+        }
+        
+        try {
+          const res = await http(
+            url,
+            {
+              method: "POST",
+              headers: H,
+              body: JSON.stringify(body)
+            },
+            dsId ? `Query data source ${dsId}` : `Query database ${dbId}`
+          );
           
-          hasMore = !!data.has_more && pageIds.length < maxWinning;
-          cursor = data.next_cursor || undefined;
+          const data = await res.json();
           
-          debug.push(`Found ${ids.length} pages, total so far: ${pageIds.length}`);
-        } else {
+          if (Array.isArray(data?.results)) {
+            const ids = data.results.map((page: any) => page.id).filter(Boolean);
+            pageIds.push(...ids);
+            data.results.forEach((page: any) => {
+              if (page?.id) pageCache.set(page.id, page);
+            });
+            
+            hasMore = !!data.has_more && pageIds.length < limit;
+            cursor = data.next_cursor || undefined;
+            if (data.has_more && !hasMore && cursor) nextCursor = sources.length > 1 ? `${dsId}:${cursor}` : cursor;
+            
+            debug.push(`Found ${ids.length} pages, total so far: ${pageIds.length}`);
+          } else {
+            hasMore = false;
+          }
+        } catch (err) {
+          debug.push(`Error querying ${dsId ? `data source ${dsId}` : "database"}: ${err}`);
+          // /databases/{id}/query recusa databases com várias fontes
+          const hint = !dsId && (err as any)?.status === 400 ? " (databases with several data sources need Notion-Version 2025-09-03)" : "";
+          queryErrors.push(String(err) + hint);
           hasMore = false;
         }
-      } catch (err) {
-        debug.push(`Error querying database: ${err}`);
-        hasMore = false;
       }
+      
+      cursor = undefined;
+      // O limite bateu no fim de uma fonte: a próxima execução começa pela fonte seguinte
+      if (!nextCursor && pageIds.length >= limit && s + 1 < sources.length) nextCursor = `${sources[s + 1]}:`;
     }
+    if (nextCursor) truncatedQueries.set(dbId, nextCursor);
     
-    if (pageIds.length > maxWinning) {
-      pageIds.length = maxWinning;
-      debug.push(`Limited to ${maxWinning} pages`);
+    if (pageIds.length > limit) {
+      pageIds.length = limit;
+      debug.push(`Limited to ${limit} pages`);
     }
     
     debug.push(`Total pages to process: ${pageIds.length}`);
@@ -192,13 +807,19 @@ export async function buildWinningHypothesesMermaid({
       const promises = batch.map(async (pageId) => {
         try {
           const res = await http(
-            `https://api.notion.com/v1/pages/${encodeURIComponent(pageId)}`,
+            `${API}/pages/${encodeURIComponent(pageId)}`,
             { method: "GET", headers: H },
             `GET /pages/${pageId}`
           );
           const page = await res.json();
+          if (page?.object === "error") {
+            pageErrors.set(pageId, { status: page.status, message: page.message || page.code || "" });
+            debug.push(`Error fetching page ${pageId}: ${page.status} ${page.code || ""}`);
+            return { id: pageId, page: null };
+          }
           return { id: pageId, page };
         } catch (err) {
+          pageErrors.set(pageId, { status: (err as any)?.status, message: String(err) });
           debug.push(`Error fetching page ${pageId}: ${err}`);
           return { id: pageId, page: null };
         }
@@ -218,23 +839,34 @@ export async function buildWinningHypothesesMermaid({
     pageId: string;
     propName: string;
     page?: any;
+    optional?: boolean;
   }>): Promise<Map<string, string[]>> {
     const results = new Map<string, string[]>();
     
-    const promises = pageRelationSpecs.map(async ({ pageId, propName, page }) => {
+    const promises = pageRelationSpecs.map(async ({ pageId, propName, page, optional }) => {
       try {
         const actualPage = page || pageCache.get(pageId);
         if (!actualPage) return { key: `${pageId}:${propName}`, ids: [] };
         
         const propId = getPropertyIdByName(actualPage, propName);
         if (!propId) {
-          if (propName !== propertyNames.vr_to_l && propName !== propertyNames.l_to_hb) {
+          if (!optional) {
             debug.push(`Property "${propName}" not found on page ${pageId}`);
           }
           return { key: `${pageId}:${propName}`, ids: [] };
         }
         
+        const reused = getReusableRelation(actualPage, propName);
+        if (reused) {
+          reusedRelationCount++;
+          // Mantém a hora da leitura original: é ela que diz até quando a relação é confiável
+          recordRelation(pageId, propName, reused.ids, reused.readAt);
+          return { key: `${pageId}:${propName}`, ids: reused.ids };
+        }
+        
+        const readAt = Date.now(); // Antes da requisição: edições até aqui estão na resposta
         const ids = await listAllRelationTargets(pageId, propId);
+        recordRelation(pageId, propName, ids, readAt);
         return { key: `${pageId}:${propName}`, ids };
       } catch (err) {
         debug.push(`Error getting relations for ${pageId}:${propName}: ${err}`);
@@ -259,50 +891,80 @@ export async function buildWinningHypothesesMermaid({
     return page?.id || "Untitled";
   }
 
-  function getTextProperty(page: any, propName: string): string {
-    const props = page?.properties || {};
-    const prop = props[propName];
-    if (!prop) return "";
-    
-    if (prop.type === "rich_text" && Array.isArray(prop.rich_text)) {
-      return prop.rich_text
-        .map((x: any) => x?.plain_text ?? x?.text?.content ?? "")
-        .join("")
-        .trim();
-    }
+  // Serializa qualquer valor de propriedade do Notion como texto:
+  // listas separadas por ", ", datas em ISO ("início → fim"), checkbox como "true"/"false"
+  function serializePropertyValue(prop: any): string {
+    if (!prop || !prop.type) return "";
+    const value = prop[prop.type];
+    const join = (items: any[]) => items.map(serializePropertyValue).filter(Boolean).join(", ");
+    const userName = (u: any) => u?.name || u?.person?.email || u?.id || "";
     
-    if (prop.type === "title" && Array.isArray(prop.title)) {
-      return prop.title
-        .map((x: any) => x?.plain_text ?? x?.text?.content ?? "")
-        .join("")
-        .trim();
+    switch (prop.type) {
+      case "title":
+      case "rich_text":
+        return richTextToPlain(value);
+      case "select":
+      case "status":
+        return value?.name || "";
+      case "multi_select":
+        return (value || []).map((o: any) => o?.name).filter(Boolean).join(", ");
+      case "people":
+        return (value || []).map(userName).filter(Boolean).join(", ");
+      case "created_by":
+      case "last_edited_by":
+        return userName(value);
+      case "date":
+        if (!value?.start) return "";
+        return value.end ? `${value.start} → ${value.end}` : value.start;
+      case "created_time":
+      case "last_edited_time":
+      case "url":
+      case "email":
+      case "phone_number":
+        return value ? String(value) : "";
+      case "number":
+        return typeof value === "number" ? String(value) : "";
+      case "checkbox":
+        return value ? "true" : "false";
+      case "formula":
+      case "rollup":
+        // formula/rollup guardam o resultado em value[value.type]; rollup "array" traz itens com o formato de propriedade
+        if (value?.type === "array") return join(value.array || []);
+        return serializePropertyValue(value);
+      case "relation":
+        return (value || []).map((r: any) => r?.id).filter(Boolean).join(", ");
+      case "files":
+        return (value || []).map((f: any) => f?.name || f?.file?.url || f?.external?.url).filter(Boolean).join(", ");
+      case "unique_id":
+        return value?.number == null ? "" : `${value.prefix ? `${value.prefix}-` : ""}${value.number}`;
+      case "verification":
+        return value?.state || "";
+      case "string":
+      case "boolean":
+        return value == null ? "" : String(value);
+      default:
+        return "";
     }
-    
-    if (prop.type === "select" && prop.select) {
-      return prop.select.name || "";
-    }
-    
-    return "";
   }
 
+  function getPropertyValue(page: any, propName: string): string {
+    const props = page?.properties || {};
+    return serializePropertyValue(props[propName]).trim();
+  }
+
+  // propertyMap (por tipo) complementa ou substitui as propriedades do schema; "" remove uma chave
+  const extraPropertyMap = parseJsonInput(propertyMap, "propertyMap") || {};
+
   function extractPageProperties(nodeType: string, page: any): Record<string, string> {
     const props: Record<string, string> = {};
+    const mapping: Record<string, string> = {
+      ...(typeDef(nodeType)?.properties || {}),
+      ...(extraPropertyMap[nodeType] || {})
+    };
     
-    if (nodeType === "WH") {
-      props.description = getTextProperty(page, "Description");
-    } else if (nodeType === "BHQ") {
-      // Extract BHQ specific properties
-      props.description = getTextProperty(page, "Description");
-      props.question = getTextProperty(page, "Question");
-    } else if (nodeType === "HB") {
-      props.description = getTextProperty(page, "Description");
-    } else if (nodeType === "VR") {
-      props.goal = getTextProperty(page, "Goal");
-      props.summary = getTextProperty(page, "Summary");
-    } else if (nodeType === "L") {
-      props.positiveSummary = getTextProperty(page, "Positives Summary");
-      props.negativeSummary = getTextProperty(page, "Negatives Summary");
-    }
+    Object.entries(mapping).forEach(([key, propName]) => {
+      if (propName) props[key] = getPropertyValue(page, propName);
+    });
     
     // Remover propriedades vazias
     Object.keys(props).forEach(key => {
@@ -313,44 +975,13 @@ export async function buildWinningHypothesesMermaid({
   }
 
   function getNodeStyle(nodeType: string) {
-    const styles = {
-      WH: {
-        backgroundColor: "#8b5cf6",
-        textColor: "#ffffff",
-        borderColor: "#4c1d95",
-        borderWidth: 1.5,
-        shape: "rounded_rectangle"
-      },
-      BHQ: {
-        backgroundColor: "#ec4899",
-        textColor: "#ffffff",
-        borderColor: "#9f1239",
-        borderWidth: 1.5,
-        shape: "rounded_rectangle"
-      },
-      HB: {
-        backgroundColor: "#3b82f6",
-        textColor: "#ffffff",
-        borderColor: "#1e3a8a",
-        borderWidth: 1.5,
-        shape: "rounded_rectangle"
-      },
-      VR: {
-        backgroundColor: "#f59e0b",
-        textColor: "#111827",
-        borderColor: "#9a3412",
-        borderWidth: 1.5,
-        shape: "rounded_rectangle"
-      },
-      L: {
-        backgroundColor: "#10b981",
-        textColor: "#ffffff",
-        borderColor: "#064e3b",
-        borderWidth: 1.5,
-        shape: "rounded_rectangle"
-      }
+    return typeDef(nodeType)?.style || {
+      backgroundColor: "#6b7280",
+      textColor: "#ffffff",
+      borderColor: "#374151",
+      borderWidth: 1.5,
+      shape: "rounded_rectangle"
     };
-    return styles[nodeType as keyof typeof styles] || styles.VR;
   }
 
   function getPropertyIdByName(page: any, propName: string): string | null {
@@ -367,7 +998,7 @@ export async function buildWinningHypothesesMermaid({
     const pageId = sanitizeId(pageIdRaw), propId = sanitizeId(propIdRaw);
     if (!pageId || !propId) return [];
     
-    const base = `https://api.notion.com/v1/pages/${encodeURIComponent(pageId)}/properties/${encodeURIComponent(propId)}`;
+    const base = `${API}/pages/${encodeURIComponent(pageId)}/properties/${encodeURIComponent(propId)}`;
     let results: string[] = [], cursor: string|undefined, more = true;
     
     while (more) {
@@ -402,25 +1033,138 @@ export async function buildWinningHypothesesMermaid({
   const nodeMap = new Map<string, any>();
   const groups: any[] = [];
   
+  // Falhas ao abrir páginas alvo de relações (para o relatório de integridade)
+  const pageErrors = new Map<string, { status?: number; message: string }>();
+  const brokenTargets: Array<{ source: string; type: string; targetType: string; targetPageId: string; status?: number; reason?: string; message?: string }> = [];
+  
+  // Relações não seguidas por maxDepth e resumo do que ficou de fora (metadata.truncated)
+  const depthCutoffs: Array<{ parent: EdgeParent; targetType: string; pageId: string }> = [];
+  const MORE_TYPE = "MORE";
+  const MORE_STYLE = { backgroundColor: "#f3f4f6", textColor: "#374151", borderColor: "#9ca3af", borderWidth: 1, borderStyle: "dashed", shape: "rounded_rectangle" };
+  const truncation = {
+    truncated: false,
+    reasons: [] as string[], // "maxDepth" | "maxWinning"
+    placeholderCount: 0,
+    unexploredCount: 0,
+    unexploredByType: {} as Record<string, number>,
+    unexploredPageIds: [] as string[],
+    winningCursor: null as string | null
+  };
+  
   // NOVO: Rastrear TODAS as conexões
   const allConnections = new Map<string, Set<string>>(); // sourceId -> Set<targetId>
   
-  const processedBHQ = new Set<string>(); // NEW: Track processed BHQs
-  const processedHB = new Set<string>();
-  const processedVR = new Set<string>();
-  const processedL = new Set<string>();
+  // Páginas já expandidas, por tipo de nó
+  const processedByType = new Map<string, Set<string>>(
+    schema.nodeTypes.map((t: any) => [t.type, new Set<string>()])
+  );
+  const counts: Record<string, number> = {};
+  schema.nodeTypes.forEach((t: any) => { counts[countKey(t.type)] = 0; });
   
-  let whCount = 0, bhqCount = 0, hbCount = 0, vrCount = 0, lCount = 0; // Added bhqCount
   let edgeIdCounter = 0;
 
+  // MODO INCREMENTAL: relações de páginas não editadas desde o snapshot anterior são reaproveitadas
+  const hashString = (text: string) => {
+    let h = 5381;
+    for (let i = 0; i < text.length; i++) h = ((h << 5) + h + text.charCodeAt(i)) | 0;
+    return (h >>> 0).toString(36);
+  };
+  const configKey = hashString(JSON.stringify(schema));
+  // readAt: quando as relações da página foram lidas (a mais antiga, se houver várias propriedades)
+  const crawlPages: Record<string, { type: string; lastEditedTime?: string; readAt?: string; relations: Record<string, string[]> }> = {};
+  const crawlDatabases: Record<string, string[]> = {};
+  let reusedRelationCount = 0;
+
+  function loadPreviousCrawl(input?: string) {
+    if (!input) return null;
+    let prev: any = null;
+    try {
+      prev = typeof input === "string" ? JSON.parse(input) : input;
+      if (typeof prev?.graphData === "string") prev = JSON.parse(prev.graphData);
+    } catch (err) {
+      debug.push(`previousGraphData could not be parsed, running full crawl: ${err}`);
+      return null;
+    }
+    const state = prev?.metadata?.crawlState;
+    if (!state?.pages) {
+      debug.push("previousGraphData has no crawlState, running full crawl");
+      return null;
+    }
+    if (state.configKey !== configKey) {
+      debug.push("Chain schema changed since previous snapshot, running full crawl");
+      return null;
+    }
+    return {
+      pages: state.pages as Record<string, any>,
+      databases: (state.databases || {}) as Record<string, string[]>
+    };
+  }
+
+  const previousCrawl = loadPreviousCrawl(previousGraphData);
+
+  // last_edited_time tem resolução de minuto: a relação só é reaproveitada se foi lida depois do fim
+  // do minuto da última edição (uma edição no mesmo minuto da leitura não muda last_edited_time)
+  function getReusableRelation(page: any, propName: string): { ids: string[]; readAt: number } | null {
+    if (!previousCrawl) return null;
+    const prev = previousCrawl.pages[page?.id];
+    const edited = Date.parse(page?.last_edited_time);
+    const readAt = Date.parse(prev?.readAt);
+    if (!prev || !Array.isArray(prev.relations?.[propName])) return null;
+    if (prev.lastEditedTime !== page.last_edited_time || !(edited + 60000 <= readAt)) return null;
+    return { ids: prev.relations[propName], readAt };
+  }
+
+  function recordRelation(pageId: string, propName: string, ids: string[], readAt: number) {
+    const page = pageCache.get(pageId);
+    if (!crawlPages[pageId]) {
+      crawlPages[pageId] = { type: "", lastEditedTime: page?.last_edited_time, relations: {} };
+    }
+    const entry = crawlPages[pageId];
+    entry.relations[propName] = ids;
+    if (!entry.readAt || readAt < Date.parse(entry.readAt)) entry.readAt = new Date(readAt).toISOString();
+  }
+
+  function recordPage(pageId: string, nodeType: string, page: any) {
+    if (!crawlPages[pageId]) {
+      crawlPages[pageId] = { type: nodeType, lastEditedTime: page?.last_edited_time, relations: {} };
+    }
+    crawlPages[pageId].type = nodeType;
+    const dbId = parentDatabaseId(page);
+    if (dbId) {
+      if (!crawlDatabases[nodeType]) crawlDatabases[nodeType] = [];
+      if (!crawlDatabases[nodeType].includes(dbId)) crawlDatabases[nodeType].push(dbId);
+    }
+  }
+
+  // Ícone da página: emoji, ou URL da imagem (arquivos do Notion têm URL temporária)
+  function iconOf(page: any): string | null {
+    const icon = page?.icon;
+    if (!icon) return null;
+    if (icon.type === "emoji") return icon.emoji || null;
+    if (icon.type === "external") return icon.external?.url || null;
+    // Ícone enviado ao Notion vem com URL assinada que expira em 1h: sem a query string o valor fica estável entre crawls
+    if (icon.type === "file") return icon.file?.url?.split("?")[0] || null;
+    if (icon.type === "custom_emoji") return icon.custom_emoji?.url || icon.custom_emoji?.name || null;
+    return null;
+  }
+
   // Função para adicionar nó
-  function addNode(nodeId: string, nodeType: string, page: any, groupId?: number) {
+  function addNode(nodeId: string, nodeType: string, page: any, groupId?: string) {
     if (nodeMap.has(nodeId)) return;
     
     const node = {
       id: nodeId,
       type: nodeType,
+      pageId: page?.id || null,
       title: getTitleFromPage(page),
+      url: page?.url || (page?.id ? `https://www.notion.so/${String(page.id).replace(/-/g, "")}` : undefined),
+      createdTime: page?.created_time || null,
+      lastEditedTime: page?.last_edited_time || null,
+      createdBy: page?.created_by?.id || null,
+      lastEditedBy: page?.last_edited_by?.id || null,
+      icon: iconOf(page),
+      archived: !!page?.archived,
+      inTrash: !!page?.in_trash,
       properties: extractPageProperties(nodeType, page),
       ...(groupId !== undefined && { groupId }),
       ...(emitStyles && { style: getNodeStyle(nodeType) })
@@ -428,18 +1172,26 @@ export async function buildWinningHypothesesMermaid({
     
     nodes.push(node);
     nodeMap.set(nodeId, node);
+    recordPage(page?.id, nodeType, page);
     
     // Atualizar contadores
-    if (nodeType === "WH") whCount++;
-    else if (nodeType === "BHQ") bhqCount++;
-    else if (nodeType === "HB") hbCount++;
-    else if (nodeType === "VR") vrCount++;
-    else if (nodeType === "L") lCount++;
+    counts[countKey(nodeType)]++;
   }
 
   // Função para registrar conexão (evita duplicatas)
-  function registerConnection(sourceId: string, targetId: string, type: string) {
-    const key = `${sourceId}->${targetId}`;
+  // Origem de uma edge: a relação do Notion de onde ela veio (nome, ID e database da página de origem)
+  type EdgeParent = {
+    source: string;
+    type: string;
+    propertyName: string;
+    propertyId: string | null;
+    sourceDatabaseId: string | null;
+  };
+
+  function registerConnection(parent: EdgeParent, targetId: string, targetPage?: any) {
+    const { source: sourceId, type } = parent;
+    // Duas relações entre os mesmos tipos geram duas edges, cada uma com a sua origem (mesma chave do DiffGraphData)
+    const key = `${sourceId}->${targetId}:${type}`;
     if (!allConnections.has(key)) {
       allConnections.set(key, new Set());
       
@@ -447,400 +1199,877 @@ export async function buildWinningHypothesesMermaid({
         id: `edge_${++edgeIdCounter}`,
         source: sourceId,
         target: targetId,
-        type
+        type,
+        propertyName: parent.propertyName,
+        propertyId: parent.propertyId,
+        sourceDatabaseId: parent.sourceDatabaseId,
+        targetDatabaseId: parentDatabaseId(targetPage)
       };
       edges.push(edge);
       debug.push(`Edge added: ${sourceId} -> ${targetId} (${type})`);
     }
   }
 
-  // Agrupar WH por HB compartilhados
-  function groupWHBySharedHB(
-    whPages: string[], 
-    whRelations: Map<string, string[]>
+  // Union-find sobre IDs (de páginas ou de nós)
+  function makeUnionFind() {
+    const parent = new Map<string, string>();
+    const find = (id: string): string => {
+      let root = id;
+      while (parent.has(root) && parent.get(root) !== root) root = parent.get(root)!;
+      // Compressão de caminho
+      while (id !== root) {
+        const next = parent.get(id)!;
+        parent.set(id, root);
+        id = next;
+      }
+      if (!parent.has(root)) parent.set(root, root);
+      return root;
+    };
+    const union = (a: string, b: string) => {
+      const ra = find(a), rb = find(b);
+      if (ra !== rb) parent.set(rb, ra);
+    };
+    return { find, union };
+  }
+
+  // Ordena grupos (maiores primeiro) e membros pela ordem original dos nós root
+  function collectGroups(rootPages: string[], find: (id: string) => string, keyOf: (id: string) => string): string[][] {
+    const byRoot = new Map<string, string[]>();
+    rootPages.forEach(rootId => {
+      const key = find(keyOf(rootId));
+      if (!byRoot.has(key)) byRoot.set(key, []);
+      byRoot.get(key)!.push(rootId);
+    });
+    return Array.from(byRoot.values()).sort((a, b) => {
+      if (b.length !== a.length) return b.length - a.length;
+      return stableGroupId(a).localeCompare(stableGroupId(b));
+    });
+  }
+
+  // ID estável do grupo: a página root mais antiga (created_time), que não muda quando outros WH entram no grupo
+  function stableGroupId(group: string[]): string {
+    const anchor = [...group].sort((a, b) => {
+      const ta = pageCache.get(a)?.created_time || "", tb = pageCache.get(b)?.created_time || "";
+      return ta !== tb ? ta.localeCompare(tb) : a.localeCompare(b);
+    })[0];
+    return String(anchor).replace(/-/g, "");
+  }
+
+  // Agrupar nós root por componentes conexos: dois root ficam juntos se compartilham
+  // (direta ou transitivamente) algum alvo nas relações de schema.groupBy
+  function groupRootsBySharedTargets(
+    rootPages: string[], 
+    rootRelations: Map<string, Map<string, string[]>>
   ): string[][] {
-    const whGroups: string[][] = [];
-    const processed = new Set<string>();
+    const { find, union } = makeUnionFind();
+    const ownerOfTarget = new Map<string, string>();
     
-    whPages.forEach(whId => {
-      if (processed.has(whId)) return;
-      
-      const group = [whId];
-      processed.add(whId);
-      
-      const whHBs = new Set(whRelations.get(`${whId}:${propertyNames.wh_to_hb}`) || []);
-      
-      whPages.forEach(otherId => {
-        if (otherId === whId || processed.has(otherId)) return;
-        
-        const otherHBs = whRelations.get(`${otherId}:${propertyNames.wh_to_hb}`) || [];
-        const hasSharedHB = otherHBs.some(hb => whHBs.has(hb));
-        
-        if (hasSharedHB) {
-          group.push(otherId);
-          processed.add(otherId);
-          otherHBs.forEach(hb => whHBs.add(hb));
-        }
+    rootPages.forEach(rootId => {
+      find(rootId);
+      schema.groupBy.forEach((key: string) => {
+        (rootRelations.get(key)?.get(rootId) || []).forEach(targetId => {
+          const owner = ownerOfTarget.get(targetId);
+          if (owner) union(owner, rootId);
+          else ownerOfTarget.set(targetId, rootId);
+        });
       });
-      
-      whGroups.push(group);
-    });
-    
-    whGroups.sort((a, b) => {
-      if (b.length !== a.length) return b.length - a.length;
-      return a[0].localeCompare(b[0]);
     });
     
-    return whGroups;
+    return collectGroups(rootPages, find, id => id);
   }
 
-  // Função recursiva para processar HB
-  async function processHBRecursively(
-    hbIds: string[],
-    parentNodes: Map<string, string[]>, // Mudança: array de parents
-    depth: number = 0
-  ): Promise<void> {
-    if (!hbIds.length || depth >= maxDepth) return;
+  // Depois do crawl: junta grupos que compartilham nós dos tipos de groupByDescendants,
+  // unindo cada nó aos filhos até o tipo mais fundo pedido (sem seguir relações que voltam na cadeia)
+  function regroupByDescendants(rootPages: string[], rootGroups: string[][]): string[][] {
+    const known = groupByDescendants.filter(type => typeIndex.has(type));
+    if (!known.length) return rootGroups;
+    const deepest = Math.max(...known.map(type => typeIndex.get(type)!));
     
-    const newHbIds = hbIds.filter(id => !processedHB.has(id));
-    if (!newHbIds.length) return;
-    
-    newHbIds.forEach(id => processedHB.add(id));
-    await getPagesInBatch(newHbIds);
+    const { find, union } = makeUnionFind();
+    rootGroups.forEach(group => group.forEach(rootId => union(mid(rootType, group[0]), mid(rootType, rootId))));
+    edges.forEach(edge => {
+      const from = nodeMap.get(edge.source), to = nodeMap.get(edge.target);
+      if (!from || !to) return;
+      const fromIndex = typeIndex.get(from.type) ?? 0, toIndex = typeIndex.get(to.type) ?? 0;
+      if (toIndex > fromIndex && toIndex <= deepest) union(edge.source, edge.target);
+    });
     
-    const hbRelSpecs: any[] = [];
-    const hbNodeMap = new Map<string, string>();
+    return collectGroups(rootPages, find, id => mid(rootType, id));
+  }
+
+  // Busca as relações de saída de uma camada: relation key -> pageId -> alvos
+  async function fetchLayerRelations(nodeType: string, pageIds: string[]): Promise<Map<string, Map<string, string[]>>> {
+    const byRelation = new Map<string, Map<string, string[]>>();
+    const specs: any[] = [];
     
-    newHbIds.forEach(hbId => {
-      const hbPage = pageCache.get(hbId);
-      if (!hbPage) return;
-      
-      const hbNode = mid("HB", hbId);
-      addNode(hbNode, "HB", hbPage);
-      hbNodeMap.set(hbId, hbNode);
-      
-      // Adicionar TODAS as edges dos parents
-      const parents = parentNodes.get(hbId) || [];
-      parents.forEach(parentNode => {
-        // Determine edge type based on parent node type
-        let edgeType = "wh_to_hb";
-        if (parentNode.startsWith("BHQ_")) {
-          edgeType = "bhq_to_hb";
-        } else if (parentNode.startsWith("L_")) {
-          edgeType = "l_to_hb";
-        }
-        registerConnection(parentNode, hbNode, edgeType);
+    outgoingRelations(nodeType).forEach((rel: any) => {
+      pageIds.forEach(pageId => {
+        const page = pageCache.get(pageId);
+        if (!page) return;
+        specs.push({ pageId, propName: rel.property, page, optional: rel.optional });
       });
-      
-      hbRelSpecs.push({ pageId: hbId, propName: propertyNames.hb_to_vr, page: hbPage });
     });
     
-    // Para HBs já processados, adicionar edges
-    hbIds.filter(id => processedHB.has(id) && !newHbIds.includes(id)).forEach(hbId => {
-      const hbNode = mid("HB", hbId);
-      const parents = parentNodes.get(hbId) || [];
-      parents.forEach(parentNode => {
-        // Determine edge type based on parent node type
-        let edgeType = "wh_to_hb";
-        if (parentNode.startsWith("BHQ_")) {
-          edgeType = "bhq_to_hb";
-        } else if (parentNode.startsWith("L_")) {
-          edgeType = "l_to_hb";
-        }
-        registerConnection(parentNode, hbNode, edgeType);
+    const relResults = await getRelationsBatch(specs);
+    
+    outgoingRelations(nodeType).forEach((rel: any) => {
+      const targets = new Map<string, string[]>();
+      pageIds.forEach(pageId => {
+        targets.set(pageId, relResults.get(`${pageId}:${rel.property}`) || []);
       });
+      byRelation.set(rel.key, targets);
     });
     
-    const hbRelations = await getRelationsBatch(hbRelSpecs);
+    return byRelation;
+  }
+
+  // Segue as relações de uma camada já criada, camada por camada, na ordem do schema
+  async function followRelations(
+    nodeType: string,
+    pageIds: string[],
+    relations: Map<string, Map<string, string[]>>,
+    depth: number
+  ): Promise<void> {
+    const withTargets = new Set<string>();
+    relations.forEach((targets, key) => {
+      if (Array.from(targets.values()).some(ids => ids.length > 0)) withTargets.add(key);
+    });
     
-    const vrIds: string[] = [];
-    const vrParentMap = new Map<string, string[]>();
+    // tipo alvo -> pageId -> parents (com o tipo de edge)
+    const nextLayers = new Map<string, Map<string, EdgeParent[]>>();
     
-    newHbIds.forEach(hbId => {
-      const vrs = hbRelations.get(`${hbId}:${propertyNames.hb_to_vr}`) || [];
-      const hbNode = hbNodeMap.get(hbId);
-      if (hbNode) {
-        vrs.forEach(vrId => {
-          if (!vrParentMap.has(vrId)) {
-            vrParentMap.set(vrId, []);
-          }
-          vrParentMap.get(vrId)!.push(hbNode);
-          if (!processedVR.has(vrId)) {
-            vrIds.push(vrId);
-          }
-        });
+    outgoingRelations(nodeType).forEach((rel: any) => {
+      if (rel.unless && withTargets.has(rel.unless)) {
+        debug.push(`Skipping ${rel.key}: ${rel.unless} relationships found`);
+        return;
       }
+      
+      const targets = relations.get(rel.key);
+      if (!targets) return;
+      
+      if (!nextLayers.has(rel.to)) nextLayers.set(rel.to, new Map());
+      const incoming = nextLayers.get(rel.to)!;
+      
+      pageIds.forEach(pageId => {
+        const sourceNode = mid(nodeType, pageId);
+        const sourcePage = pageCache.get(pageId);
+        const parent: EdgeParent = {
+          source: sourceNode,
+          type: rel.key,
+          propertyName: rel.property,
+          propertyId: getPropertyIdByName(sourcePage, rel.property),
+          sourceDatabaseId: parentDatabaseId(sourcePage)
+        };
+        (targets.get(pageId) || []).forEach(targetId => {
+          if (!incoming.has(targetId)) incoming.set(targetId, []);
+          incoming.get(targetId)!.push(parent);
+        });
+      });
     });
     
-    if (!vrIds.length) return;
+    const orderedTypes = Array.from(nextLayers.keys())
+      .sort((a, b) => (typeIndex.get(a) ?? 0) - (typeIndex.get(b) ?? 0));
     
-    vrIds.forEach(id => processedVR.add(id));
-    await getPagesInBatch(vrIds);
+    for (const targetType of orderedTypes) {
+      const incoming = nextLayers.get(targetType)!;
+      if (!incoming.size) continue;
+      
+      // Relações que voltam na cadeia (ex.: L -> HB) começam uma nova rodada
+      const loopsBack = (typeIndex.get(targetType) ?? 0) <= (typeIndex.get(nodeType) ?? 0);
+      const nextDepth = loopsBack ? depth + 1 : depth;
+      
+      if (nextDepth >= maxDepth) {
+        // Sem expandir: os alvos ficam para addTruncationMarkers, depois do crawl
+        incoming.forEach((parents, pageId) => {
+          parents.forEach(parent => depthCutoffs.push({ parent, targetType, pageId }));
+        });
+        debug.push(`Max depth ${maxDepth} reached at ${nodeType} -> ${targetType}`);
+        continue;
+      }
+      
+      await visitLayer(targetType, incoming, nextDepth);
+    }
+  }
+
+  // Cria nós e edges de uma camada e continua pelas relações dos nós novos
+  async function visitLayer(
+    nodeType: string,
+    incoming: Map<string, EdgeParent[]>,
+    depth: number
+  ): Promise<void> {
+    const processed = processedByType.get(nodeType)!;
+    const pageIds = Array.from(incoming.keys());
+    const newIds = pageIds.filter(id => !processed.has(id));
     
-    const vrRelSpecs: any[] = [];
-    const vrNodeMap = new Map<string, string>();
+    newIds.forEach(id => processed.add(id));
+    await getPagesInBatch(newIds);
     
-    vrIds.forEach(vrId => {
-      const vrPage = pageCache.get(vrId);
-      if (!vrPage) return;
-      
-      const vrNode = mid("VR", vrId);
-      addNode(vrNode, "VR", vrPage);
-      vrNodeMap.set(vrId, vrNode);
+    pageIds.forEach(pageId => {
+      const nodeId = mid(nodeType, pageId);
+      const page = pageCache.get(pageId);
       
-      const hbNodes = vrParentMap.get(vrId) || [];
-      hbNodes.forEach(hbNode => {
-        registerConnection(hbNode, vrNode, "hb_to_vr");
-      });
+      // Alvos que não abrem ou estão arquivados/na lixeira ficam no relatório de integridade
+      const problem = !page ? pageErrors.get(pageId) || { message: "Page not returned" }
+        : page.in_trash ? { reason: "in_trash" }
+        : page.archived ? { reason: "archived" }
+        : null;
+      if (problem) {
+        (incoming.get(pageId) || []).forEach(p => brokenTargets.push({ ...p, targetType: nodeType, targetPageId: pageId, ...problem }));
+      }
       
-      if (propertyNames.vr_to_l) {
-        vrRelSpecs.push({ pageId: vrId, propName: propertyNames.vr_to_l, page: vrPage });
+      if (!nodeMap.has(nodeId)) {
+        if (!page) return;
+        addNode(nodeId, nodeType, page);
       }
+      
+      // Adicionar TODAS as edges dos parents, inclusive para nós já processados
+      (incoming.get(pageId) || []).forEach(p => registerConnection(p, nodeId, page));
     });
     
-    if (!propertyNames.vr_to_l || !vrRelSpecs.length) return;
+    const expandIds = newIds.filter(id => nodeMap.has(mid(nodeType, id)));
+    if (!expandIds.length || !outgoingRelations(nodeType).length) return;
     
-    const vrRelations = await getRelationsBatch(vrRelSpecs);
+    const relations = await fetchLayerRelations(nodeType, expandIds);
+    await followRelations(nodeType, expandIds, relations, depth);
+  }
+
+  // Databases de um tipo do schema: os vistos no crawl, senão typeDef().database (ID ou título)
+  const databasesByType = new Map<string, string[]>();
+  async function databasesOfType(nodeType: string): Promise<string[]> {
+    if (crawlDatabases[nodeType]?.length) return crawlDatabases[nodeType];
+    if (databasesByType.has(nodeType)) return databasesByType.get(nodeType)!;
     
-    const lIds: string[] = [];
-    const lParentMap = new Map<string, string[]>();
+    let dbIds: string[] = [];
+    const dbRef = typeDef(nodeType)?.database;
+    if (dbRef) {
+      const byId = parseNotionId(dbRef);
+      dbIds = byId ? [byId] : (await findDatabasesByName(dbRef)).map(db => db.id);
+    }
+    databasesByType.set(nodeType, dbIds);
+    return dbIds;
+  }
+
+  // Tipo de uma página solta: o do schema cujo database (ID ou título) é o database pai da página
+  // (com data sources, o título de qualquer fonte do database também vale, como na busca por nome)
+  async function resolvePageType(page: any): Promise<string> {
+    const parentDbId = await resolveParentDatabaseId(page);
+    if (!parentDbId) {
+      throw new Error(`Page ${page?.id} is not inside a database, so it cannot be matched to the chain schema.`);
+    }
     
-    vrIds.forEach(vrId => {
-      const ls = vrRelations.get(`${vrId}:${propertyNames.vr_to_l}`) || [];
-      const vrNode = vrNodeMap.get(vrId);
-      if (vrNode) {
-        ls.forEach(lId => {
-          if (!lParentMap.has(lId)) {
-            lParentMap.set(lId, []);
-          }
-          lParentMap.get(lId)!.push(vrNode);
-          if (!processedL.has(lId)) {
-            lIds.push(lId);
-          }
-        });
-      }
-    });
+    let title = "";
+    let names: string[] = [];
+    try {
+      const db = await getDatabase(parentDbId);
+      title = db?.title || "";
+      names = [title, ...(db?.dataSources || []).map(ds => ds.name)].filter(Boolean).map(name => name.toLowerCase());
+    } catch (err) {
+      debug.push(`Error fetching database ${parentDbId}: ${err}`);
+    }
     
-    if (!lIds.length) return;
+    const match = schema.nodeTypes.find((t: any) => t.database && (
+      parseNotionId(t.database) === parentDbId || names.includes(String(t.database).toLowerCase())
+    ));
+    if (!match) {
+      const expected = schema.nodeTypes.map((t: any) => t.database).filter(Boolean).join(", ");
+      throw new Error(`Page ${page.id} is in database "${title || parentDbId}", which is not one of the chain schema databases (${expected}).`);
+    }
+    return match.type;
+  }
+
+  // MODO LINHAGEM: parte de uma página da cadeia e sobe pelas relações até os nós root.
+  // Relações de mão única não têm lado inverso na página, então cada passo para cima é uma query
+  // "relation contains" no database do tipo de origem
+  async function crawlLineage(input: string, rootDatabaseId: string | null) {
+    const pageId = parseNotionId(input);
+    if (!pageId) throw new Error(`lineagePageId "${input}" is not a Notion page ID or URL.`);
     
-    lIds.forEach(id => processedL.add(id));
-    await getPagesInBatch(lIds);
+    await getPagesInBatch([pageId]);
+    const startPage = pageCache.get(pageId);
+    if (!startPage) {
+      throw new Error(`Page ${pageId} not found (${pageErrors.get(pageId)?.message || "no response"}). Make sure it is shared with the integration.`);
+    }
+    const startType = await resolvePageType(startPage);
+    addNode(mid(startType, pageId), startType, startPage);
+    debug.push(`Lineage start is a ${startType}: ${getTitleFromPage(startPage)}`);
     
-    const lRelSpecs: any[] = [];
-    const lNodeMap = new Map<string, string>();
+    const upstream = [{ pageId, nodeType: startType, depth: 0 }];
+    const seen = new Set<string>([mid(startType, pageId)]);
     
-    lIds.forEach(lId => {
-      const lPage = pageCache.get(lId);
-      if (!lPage) return;
+    // Cada item de upstream é expandido uma vez; os pais encontrados entram no fim da fila
+    for (let i = 0; i < upstream.length; i++) {
+      const { pageId: childId, nodeType: childType, depth } = upstream[i];
+      const childNode = mid(childType, childId);
       
-      const lNode = mid("L", lId);
-      addNode(lNode, "L", lPage);
-      lNodeMap.set(lId, lNode);
-      
-      const vrNodes = lParentMap.get(lId) || [];
-      vrNodes.forEach(vrNode => {
-        registerConnection(vrNode, lNode, "vr_to_l");
-      });
-      
-      if (propertyNames.l_to_hb) {
-        lRelSpecs.push({ pageId: lId, propName: propertyNames.l_to_hb, page: lPage });
+      for (const rel of schema.relations.filter((r: any) => r.to === childType && r.property)) {
+        // Subir por uma relação que volta na cadeia (ex.: HB <- L) é uma rodada a mais, como na descida
+        const loopsBack = (typeIndex.get(rel.from) ?? 0) >= (typeIndex.get(childType) ?? 0);
+        const parentDepth = loopsBack ? depth + 1 : depth;
+        if (parentDepth >= maxDepth) {
+          debug.push(`Max depth ${maxDepth} reached at ${rel.from} -> ${childType}`);
+          continue;
+        }
+        
+        const sourceDbIds = rel.from === rootType && rootDatabaseId ? [rootDatabaseId] : await databasesOfType(rel.from);
+        if (!sourceDbIds.length) {
+          debug.push(`Lineage: no database known for ${rel.from}, skipping ${rel.key}`);
+          continue;
+        }
+        const unlessProperty = rel.unless
+          ? schema.relations.find((r: any) => r.key === rel.unless && r.from === rel.from)?.property
+          : null;
+        
+        for (const sourceDbId of sourceDbIds) {
+          const errorsBefore = queryErrors.length;
+          const parentIds = await getAllPagesFromDatabase(sourceDbId, Infinity, {
+            filter: { property: rel.property, relation: { contains: childId } }
+          });
+          if (queryErrors.length > errorsBefore) {
+            throw new Error(`Lineage query for ${rel.property} on database ${sourceDbId} failed: ${queryErrors[errorsBefore]}`);
+          }
+          
+          parentIds.forEach(parentId => {
+            const parentPage = pageCache.get(parentId);
+            // Mesma regra da descida: com alvos em `unless`, esta relação não é seguida
+            if (unlessProperty && (parentPage?.properties?.[unlessProperty]?.relation || []).length) {
+              debug.push(`Lineage: skipping ${rel.key} from ${parentId}: ${rel.unless} relationships found`);
+              return;
+            }
+            
+            const parentNode = mid(rel.from, parentId);
+            if (!nodeMap.has(parentNode)) addNode(parentNode, rel.from, parentPage);
+            registerConnection({
+              source: parentNode,
+              type: rel.key,
+              propertyName: rel.property,
+              propertyId: getPropertyIdByName(parentPage, rel.property),
+              sourceDatabaseId: parentDatabaseId(parentPage)
+            }, childNode, pageCache.get(childId));
+            
+            if (!seen.has(parentNode)) {
+              seen.add(parentNode);
+              upstream.push({ pageId: parentId, nodeType: rel.from, depth: parentDepth });
+            }
+          });
+        }
       }
-    });
+    }
+    debug.push(`Lineage: ${upstream.length - 1} upstream pages`);
     
-    if (!propertyNames.l_to_hb || !lRelSpecs.length) return;
+    if (lineageDescendants) {
+      // Páginas da subida não são expandidas de novo; a descida só cria edges até elas
+      upstream.forEach(({ pageId: id, nodeType }) => processedByType.get(nodeType)!.add(id));
+      const relations = await fetchLayerRelations(startType, [pageId]);
+      await followRelations(startType, [pageId], relations, 0);
+    }
     
-    const lRelations = await getRelationsBatch(lRelSpecs);
+    const rootIds = upstream.filter(p => p.nodeType === rootType).map(p => p.pageId);
+    return {
+      pageId,
+      nodeType: startType,
+      title: getTitleFromPage(startPage),
+      rootIds,
+      rootDatabaseId: rootDatabaseId || parentDatabaseId(pageCache.get(rootIds[0])) || parentDatabaseId(startPage),
+      upstreamCount: upstream.length - 1
+    };
+  }
+
+  // winningPageIds: array ou texto com IDs/URLs separados por vírgula, espaço ou quebra de linha
+  function parsePageIdList(input: any): string[] {
+    const raw = Array.isArray(input) ? input : String(input || "").split(/[\s,]+/);
+    const ids = raw.map((value: any) => sanitizeId(value)).filter(Boolean).map((value: string) => {
+      const id = parseNotionId(value);
+      if (!id) throw new Error(`winningPageIds: "${value}" is not a Notion page ID or URL.`);
+      return id;
+    });
+    return [...new Set<string>(ids)];
+  }
+
+  // Só as páginas root pedidas: um GET por página em vez da query no database inteiro
+  async function loadSelectedRoots(pageIds: string[], startDatabase: { id: string; title: string } | null) {
+    await getPagesInBatch(pageIds);
     
-    const newHBIds: string[] = [];
-    const newHBParentMap = new Map<string, string[]>();
+    const missing = pageIds.filter(id => !pageCache.has(id));
+    if (missing.length) {
+      const details = missing.map(id => `${id} (${pageErrors.get(id)?.message || "no response"})`).join(", ");
+      throw new Error(`${rootType} pages not found: ${details}. Make sure they are shared with the integration.`);
+    }
     
-    lIds.forEach(lId => {
-      const hbs = lRelations.get(`${lId}:${propertyNames.l_to_hb}`) || [];
-      const lNode = lNodeMap.get(lId);
-      if (lNode) {
-        hbs.forEach(hbId => {
-          if (!newHBParentMap.has(hbId)) {
-            newHBParentMap.set(hbId, []);
-          }
-          newHBParentMap.get(hbId)!.push(lNode);
-          
-          if (!processedHB.has(hbId)) {
-            if (!newHBIds.includes(hbId)) {
-              newHBIds.push(hbId);
-            }
-          } else {
-            // HB já existe, adicionar edge
-            const hbNode = mid("HB", hbId);
-            registerConnection(lNode, hbNode, "l_to_hb");
-          }
-        });
+    for (const id of pageIds) await resolveParentDatabaseId(pageCache.get(id));
+    const parentDbIds = [...new Set(pageIds.map(id => parentDatabaseId(pageCache.get(id)) || ""))];
+    if (parentDbIds.includes("")) {
+      throw new Error(`winningPageIds must be pages of the ${rootType} database (got a page outside any database).`);
+    }
+    if (parentDbIds.length > 1) {
+      throw new Error(`winningPageIds come from ${parentDbIds.length} different databases; pass pages of a single ${rootType} database.`);
+    }
+    
+    const database = startDatabase || await resolveStartDatabase(parentDbIds[0]);
+    if (database.id !== parentDbIds[0]) {
+      throw new Error(`winningPageIds are not in database "${database.title}" (they belong to ${parentDbIds[0]}).`);
+    }
+    // Sem startWinningId, confere se o database é o do tipo root no schema (um HB passado por engano vira outro grafo)
+    const rootDbRef = typeDef(rootType)?.database;
+    const names = [database.title, ...(databaseCache.get(database.id)?.dataSources || []).map(ds => ds.name)].map(name => name.toLowerCase());
+    if (!startDatabase && rootDbRef && parseNotionId(rootDbRef) !== database.id && !names.includes(rootDbRef.toLowerCase())) {
+      throw new Error(`winningPageIds are in database "${database.title}", not in the ${rootType} database "${rootDbRef}".`);
+    }
+    return database;
+  }
+
+  // Marcadores de truncamento: alvos que maxDepth não deixou expandir viram um nó "+N more" por relação de origem;
+  // páginas root que maxWinning deixou de fora viram um marcador solto
+  function addTruncationMarkers() {
+    const pending = new Map<string, { parent: EdgeParent; targetType: string; pageIds: string[] }>();
+    depthCutoffs.forEach(({ parent, targetType, pageId }) => {
+      const targetNode = mid(targetType, pageId);
+      if (nodeMap.has(targetNode)) {
+        // Alcançado por outro caminho (antes ou depois do corte): basta a edge
+        registerConnection(parent, targetNode, pageCache.get(pageId));
+        return;
       }
+      const key = `${parent.source}:${parent.type}`;
+      if (!pending.has(key)) pending.set(key, { parent, targetType, pageIds: [] });
+      const entry = pending.get(key)!;
+      if (!entry.pageIds.includes(pageId)) entry.pageIds.push(pageId);
+    });
+    
+    const addMarker = (id: string, title: string, targetType: string, reason: string, pageIds: string[], extra: Record<string, any> = {}) => {
+      const node = {
+        id,
+        type: MORE_TYPE,
+        title,
+        moreType: targetType,
+        reason,
+        count: pageIds.length || null,
+        pageIds,
+        properties: {},
+        ...extra,
+        ...(emitStyles && { style: MORE_STYLE })
+      };
+      nodes.push(node);
+      nodeMap.set(id, node);
+      truncation.placeholderCount++;
+    };
+    const label = (nodeType: string) => typeDef(nodeType)?.label || nodeType;
+    const unexplored = new Map<string, string>(); // pageId -> tipo
+    
+    pending.forEach(({ parent, targetType, pageIds }) => {
+      const markerId = `${MORE_TYPE}_${parent.source}_${parent.type}`;
+      addMarker(markerId, `+${pageIds.length} more ${label(targetType)}`, targetType, "maxDepth", pageIds);
+      registerConnection(parent, markerId);
+      pageIds.forEach(id => unexplored.set(id, targetType));
     });
+    if (pending.size) truncation.reasons.push("maxDepth");
+    
+    const rootCursor = truncatedQueries.get(dbId);
+    const skippedRoots = selectedRootIds.slice(maxWinning);
+    if (rootCursor || skippedRoots.length) {
+      truncation.reasons.push("maxWinning");
+      truncation.winningCursor = rootCursor || null;
+      // A query cortada não diz quantas páginas faltam; com winningPageIds a lista é conhecida
+      const title = skippedRoots.length
+        ? `+${skippedRoots.length} more ${label(rootType)}`
+        : `More ${label(rootType)} not loaded (maxWinning ${maxWinning})`;
+      addMarker(`${MORE_TYPE}_${rootType}`, title, rootType, "maxWinning", skippedRoots, rootCursor ? { nextCursor: rootCursor } : {});
+      skippedRoots.forEach(id => unexplored.set(id, rootType));
+    }
     
-    if (newHBIds.length) {
-      await processHBRecursively(newHBIds, newHBParentMap, depth + 1);
+    truncation.truncated = truncation.reasons.length > 0;
+    truncation.unexploredPageIds = Array.from(unexplored.keys());
+    truncation.unexploredCount = unexplored.size;
+    unexplored.forEach(nodeType => {
+      truncation.unexploredByType[nodeType] = (truncation.unexploredByType[nodeType] || 0) + 1;
+    });
+    if (truncation.truncated) {
+      debug.push(`Truncated by ${truncation.reasons.join(", ")}: ${truncation.unexploredCount} unexplored pages, ${truncation.placeholderCount} placeholders`);
     }
   }
 
   // PROCESSAMENTO PRINCIPAL
-  const databaseName = sanitizeId(startWinningId);
-  debug.push(`Starting process for database: "${databaseName}"`);
+  const rootType = schema.root;
+  let dbId: string;
+  let databaseName: string;
+  let startFilter: any;
+  let startSorts: any;
+  let allRootPages: string[];
+  let rootGroups: string[][] = [];
+  let lineage: Awaited<ReturnType<typeof crawlLineage>> | null = null;
+  const selectedRootIds = parsePageIdList(winningPageIds);
+  
+  if (lineagePageId) {
+    debug.push(`Starting lineage from page: "${sanitizeId(lineagePageId)}"`);
+    if (filter || sorts || status || tag || owner || dateFrom || dateTo) {
+      debug.push("Filters and sorts are ignored in lineage mode");
+    }
+    
+    // startWinningId, se vier, fixa o database dos nós root; senão vale o título do schema
+    const startDatabase = sanitizeId(startWinningId) ? await resolveStartDatabase(sanitizeId(startWinningId)) : null;
+    lineage = await crawlLineage(sanitizeId(lineagePageId), startDatabase?.id || null);
+    dbId = startDatabase?.id || lineage.rootDatabaseId;
+    databaseName = startDatabase?.title || typeDef(rootType)?.database || "";
+    allRootPages = lineage.rootIds;
+    rootGroups = allRootPages.length ? [allRootPages] : [];
+    debug.push(`Lineage reached ${allRootPages.length} ${rootType} pages`);
+  } else if (selectedRootIds.length) {
+    debug.push(`Starting process for ${selectedRootIds.length} selected ${rootType} pages`);
+    if (filter || sorts || status || tag || owner || dateFrom || dateTo) {
+      debug.push("Filters and sorts are ignored when winningPageIds is set");
+    }
+    
+    const startDatabase = sanitizeId(startWinningId) ? await resolveStartDatabase(sanitizeId(startWinningId)) : null;
+    const selected = await loadSelectedRoots(selectedRootIds, startDatabase);
+    dbId = selected.id;
+    databaseName = selected.title;
+    allRootPages = selectedRootIds.slice(0, maxWinning);
+    if (allRootPages.length < selectedRootIds.length) debug.push(`Limited to ${maxWinning} pages`);
+  } else {
+    if (!sanitizeId(startWinningId)) {
+      throw new Error("startWinningId is required (or pass lineagePageId or winningPageIds).");
+    }
+    debug.push(`Starting process for database: "${sanitizeId(startWinningId)}"`);
+    
+    const startDatabase = await resolveStartDatabase(sanitizeId(startWinningId));
+    dbId = startDatabase.id;
+    databaseName = startDatabase.title;
   
-  const dbId = await getDatabaseIdByName(databaseName);
+    startFilter = await buildStartFilter(startDatabase.properties);
+    startSorts = parseJsonInput(sorts, "sorts");
+    if (startFilter) {
+      debug.push(`Applying filter: ${JSON.stringify(startFilter)}`);
+    }
   
-  if (!dbId) {
-    throw new Error(`Database "${databaseName}" not found. Please check the database name and ensure you have access to it.`);
-  }
+    const errorsBefore = queryErrors.length;
+    allRootPages = await getAllPagesFromDatabase(dbId, maxWinning, { filter: startFilter, sorts: startSorts, startCursor: winningCursor });
   
-  const allWHPages = await getAllPagesFromDatabase(dbId);
+    // Uma fonte que falhou deixaria o grafo sem parte dos root, e o diff os veria como removidos
+    if (queryErrors.length > errorsBefore) {
+      throw new Error(`Query on database "${databaseName}" failed: ${queryErrors[errorsBefore]}`);
+    }
+    if (!allRootPages.length) {
+      if (startFilter) {
+        throw new Error(`No pages in database "${databaseName}" match the filter ${JSON.stringify(startFilter)}.`);
+      }
+      throw new Error(`Database "${databaseName}" is empty or you don't have access to its pages.`);
+    }
   
-  if (!allWHPages.length) {
-    throw new Error(`Database "${databaseName}" is empty or you don't have access to its pages.`);
+    debug.push(`Processing ${allRootPages.length} ${rootType} pages from database`);
   }
   
-  debug.push(`Processing ${allWHPages.length} Winning Hypotheses from database`);
+  if (!lineage) {
+    // No modo incremental, uma query por database traz todas as páginas (e seu last_edited_time)
+    // em lotes de 100, em vez de um GET por página
+    if (previousCrawl) {
+      debug.push(`Incremental mode: ${Object.keys(previousCrawl.pages).length} pages in previous snapshot`);
+      const knownDatabases = new Set<string>();
+      Object.entries(previousCrawl.databases).forEach(([nodeType, ids]) => {
+        if (nodeType === rootType) return;
+        (ids || []).forEach(id => { if (id !== dbId) knownDatabases.add(id); });
+      });
+      for (const knownDbId of knownDatabases) {
+        await getAllPagesFromDatabase(knownDbId, Infinity);
+      }
+    }
   
-  await getPagesInBatch(allWHPages);
+    await getPagesInBatch(allRootPages);
   
-  const whRelSpecs: any[] = [];
-  const whBHQRelSpecs: any[] = [];
+    const rootIds = allRootPages.filter(id => pageCache.has(id));
+    const rootRelations = await fetchLayerRelations(rootType, rootIds);
   
-  allWHPages.forEach(whId => {
-    const whPage = pageCache.get(whId);
-    if (!whPage) return;
-    // Check for both BHQ and HB relationships
-    whRelSpecs.push({ pageId: whId, propName: propertyNames.wh_to_hb, page: whPage });
-    whBHQRelSpecs.push({ pageId: whId, propName: propertyNames.wh_to_bhq, page: whPage });
-  });
+    // Agrupar nós root por alvos compartilhados
+    rootGroups = groupRootsBySharedTargets(allRootPages, rootRelations);
+    debug.push(`Organized ${allRootPages.length} ${rootType} into ${rootGroups.length} groups`);
   
-  const whRelations = await getRelationsBatch(whRelSpecs);
-  const whBHQRelations = await getRelationsBatch(whBHQRelSpecs);
+    // Adicionar nós root com groupId
+    rootGroups.forEach(group => {
+      const groupId = stableGroupId(group);
+      group.forEach(rootId => {
+        const rootPage = pageCache.get(rootId);
+        if (!rootPage) return;
+      
+        processedByType.get(rootType)!.add(rootId);
+        addNode(mid(rootType, rootId), rootType, rootPage, groupId);
+      });
+    });
   
-  // Agrupar WH por HB compartilhados
-  const whGroups = groupWHBySharedHB(allWHPages, whRelations);
-  debug.push(`Organized ${allWHPages.length} WH into ${whGroups.length} groups`);
+    // Seguir a cadeia na ordem dos grupos para manter nós relacionados próximos
+    const orderedRootIds = rootGroups.flat().filter(id => pageCache.has(id));
+    await followRelations(rootType, orderedRootIds, rootRelations, 0);
+  }
+  
+  addTruncationMarkers();
+  
+  if (groupByDescendants.length) {
+    rootGroups = regroupByDescendants(allRootPages, rootGroups);
+    debug.push(`Regrouped by shared ${groupByDescendants.join(", ")}: ${rootGroups.length} groups`);
+  }
   
   // Criar grupos no JSON
-  whGroups.forEach((group, groupIndex) => {
-    const groupObj = {
-      id: groupIndex,
-      name: `Related WH Group ${groupIndex + 1}`,
-      nodeIds: group.map(id => mid("WH", id)),
+  rootGroups.forEach((group, groupIndex) => {
+    const groupId = stableGroupId(group);
+    groups.push({
+      id: groupId,
+      name: `Related ${rootType} Group ${groupIndex + 1}`,
+      nodeIds: group.map(id => mid(rootType, id)),
       size: group.length
-    };
-    groups.push(groupObj);
-    
-    // Adicionar nós WH com groupId
-    group.forEach(whId => {
-      const whPage = pageCache.get(whId);
-      if (!whPage) return;
-      
-      const whNode = mid("WH", whId);
-      addNode(whNode, "WH", whPage, groupIndex);
+    });
+    group.forEach(rootId => {
+      const node = nodeMap.get(mid(rootType, rootId));
+      if (node) node.groupId = groupId;
     });
   });
-  
-  // Check if we have BHQ relationships
-  const hasBHQRelations = Array.from(whBHQRelations.values()).some(bhqs => bhqs && bhqs.length > 0);
-  debug.push(`BHQ relationships found: ${hasBHQRelations}`);
-  
-  // Process BHQ layer if present
-  if (hasBHQRelations) {
-    // First, process BHQ nodes
-    const bhqParentMap = new Map<string, string[]>();
-    const allBHQIds = new Set<string>();
-    
-    whGroups.forEach(group => {
-      group.forEach(whId => {
-        const whNode = mid("WH", whId);
-        const bhqs = whBHQRelations.get(`${whId}:${propertyNames.wh_to_bhq}`) || [];
-        
-        bhqs.forEach(bhqId => {
-          allBHQIds.add(bhqId);
-          if (!bhqParentMap.has(bhqId)) {
-            bhqParentMap.set(bhqId, []);
-          }
-          bhqParentMap.get(bhqId)!.push(whNode);
-        });
-      });
+
+  // Detecção de ciclos (ex.: L -> HB voltando para um HB acima): DFS a partir dos nós root;
+  // a edge que fecha o ciclo é marcada com backEdge para os renderers desenharem diferente
+  function detectCycles(): Array<{ path: string[]; edgeId: string }> {
+    const outgoing = new Map<string, any[]>();
+    edges.forEach(edge => {
+      if (!outgoing.has(edge.source)) outgoing.set(edge.source, []);
+      outgoing.get(edge.source)!.push(edge);
     });
     
-    // Fetch BHQ pages
-    if (allBHQIds.size > 0) {
-      debug.push(`Found ${allBHQIds.size} unique BHQ nodes`);
-      await getPagesInBatch(Array.from(allBHQIds));
-      
-      // Create BHQ nodes and edges from WH to BHQ
-      const bhqRelSpecs: any[] = [];
+    const found: Array<{ path: string[]; edgeId: string }> = [];
+    const state = new Map<string, "open" | "done">();
+    const starts = [
+      ...nodes.filter(n => n.type === rootType).map(n => n.id),
+      ...nodes.map(n => n.id)
+    ];
+    
+    starts.forEach(startId => {
+      if (state.has(startId)) return;
+      // DFS iterativa: a pilha guarda o caminho atual e o próximo filho a visitar
+      const stack: Array<{ id: string; next: number }> = [{ id: startId, next: 0 }];
+      state.set(startId, "open");
       
-      allBHQIds.forEach(bhqId => {
-        const bhqPage = pageCache.get(bhqId);
-        if (!bhqPage) return;
-        
-        const bhqNode = mid("BHQ", bhqId);
-        addNode(bhqNode, "BHQ", bhqPage);
+      while (stack.length) {
+        const frame = stack[stack.length - 1];
+        const children = outgoing.get(frame.id) || [];
         
-        // Add edges from WH to BHQ
-        const parents = bhqParentMap.get(bhqId) || [];
-        parents.forEach(parentNode => {
-          registerConnection(parentNode, bhqNode, "wh_to_bhq");
-        });
+        if (frame.next >= children.length) {
+          state.set(frame.id, "done");
+          stack.pop();
+          continue;
+        }
         
-        // Prepare to fetch BHQ to HB relationships
-        bhqRelSpecs.push({ pageId: bhqId, propName: propertyNames.bhq_to_hb, page: bhqPage });
-      });
-      
-      // Get BHQ to HB relationships
-      const bhqRelations = await getRelationsBatch(bhqRelSpecs);
-      
-      // Collect HBs from BHQs
-      const hbParentMap = new Map<string, string[]>();
-      
-      allBHQIds.forEach(bhqId => {
-        const bhqNode = mid("BHQ", bhqId);
-        const hbs = bhqRelations.get(`${bhqId}:${propertyNames.bhq_to_hb}`) || [];
+        const edge = children[frame.next++];
+        const targetState = state.get(edge.target);
         
-        hbs.forEach(hbId => {
-          if (!hbParentMap.has(hbId)) {
-            hbParentMap.set(hbId, []);
-          }
-          hbParentMap.get(hbId)!.push(bhqNode);
-        });
-      });
-      
-      // Process HBs and their chains
-      const uniqueHBIds = Array.from(hbParentMap.keys());
-      if (uniqueHBIds.length) {
-        debug.push(`Found ${uniqueHBIds.length} unique Hypothesis Backlogs to process from BHQs`);
-        await processHBRecursively(uniqueHBIds, hbParentMap, 0);
+        if (targetState === "open") {
+          edge.backEdge = true;
+          const from = stack.findIndex(f => f.id === edge.target);
+          found.push({ path: [...stack.slice(from).map(f => f.id), edge.target], edgeId: edge.id });
+        } else if (!targetState && nodeMap.has(edge.target)) {
+          state.set(edge.target, "open");
+          stack.push({ id: edge.target, next: 0 });
+        }
       }
-    }
-  } else {
-    // Original flow: WH directly to HB
-    const hbParentMap = new Map<string, string[]>();
+    });
     
-    whGroups.forEach(group => {
-      group.forEach(whId => {
-        const whNode = mid("WH", whId);
-        const hbs = whRelations.get(`${whId}:${propertyNames.wh_to_hb}`) || [];
-        
-        hbs.forEach(hbId => {
-          if (!hbParentMap.has(hbId)) {
-            hbParentMap.set(hbId, []);
-          }
-          hbParentMap.get(hbId)!.push(whNode);
+    return found;
+  }
+
+  const cycles = detectCycles();
+  cycles.forEach(cycle => debug.push(`Cycle detected: ${cycle.path.join(" -> ")} (closed by ${cycle.edgeId})`));
+
+  // Funil por nó root: backlog (HB alcançados sem passar por um Learning) -> com roadmap -> com learnings;
+  // HB alcançados através de um Learning (L -> HB) contam como spawned
+  const funnelTypes = (stage: string) => new Set<string>(schema.funnel?.[stage] || []);
+
+  function computeFunnel() {
+    if (!schema.funnel) return [];
+    const hypothesisTypes = funnelTypes("hypothesis");
+    const validationTypes = funnelTypes("validation");
+    const learningTypes = funnelTypes("learning");
+
+    const outgoing = new Map<string, string[]>();
+    edges.forEach(edge => {
+      if (!outgoing.has(edge.source)) outgoing.set(edge.source, []);
+      outgoing.get(edge.source)!.push(edge.target);
+    });
+    const typeOf = (id: string) => nodeMap.get(id)?.type;
+    const hasText = (node: any, key?: string) => !!(key && String(node?.properties?.[key] ?? "").trim());
+
+    // Um HB "produziu learnings" se alcança um Learning sem passar por outro HB
+    const reachesLearning = (hbId: string) => {
+      const queue = [hbId];
+      const seen = new Set<string>(queue);
+      while (queue.length) {
+        const id = queue.shift()!;
+        for (const next of outgoing.get(id) || []) {
+          if (seen.has(next) || !nodeMap.has(next)) continue;
+          if (learningTypes.has(typeOf(next))) return true;
+          if (hypothesisTypes.has(typeOf(next))) continue;
+          seen.add(next);
+          queue.push(next);
+        }
+      }
+      return false;
+    };
+
+    return nodes.filter(n => n.type === rootType).map(root => {
+      // BFS 0-1: atravessar Learning -> HB avança uma geração
+      const generation = new Map<string, number>([[root.id, 0]]);
+      const deque: string[] = [root.id];
+      while (deque.length) {
+        const id = deque.shift()!;
+        const gen = generation.get(id)!;
+        for (const next of outgoing.get(id) || []) {
+          if (!nodeMap.has(next)) continue;
+          const step = learningTypes.has(typeOf(id)) && hypothesisTypes.has(typeOf(next)) ? 1 : 0;
+          if (generation.has(next) && generation.get(next)! <= gen + step) continue;
+          generation.set(next, gen + step);
+          if (step) deque.push(next); else deque.unshift(next);
+        }
+      }
+
+      const reached = (types: Set<string>, gen?: number) => Array.from(generation.entries())
+        .filter(([id, g]) => types.has(typeOf(id)) && (gen === undefined ? g > 0 : g === gen))
+        .map(([id]) => id);
+
+      const backlog = reached(hypothesisTypes, 0);
+      const learnings = reached(learningTypes, 0).map(id => nodeMap.get(id));
+      const positive = learnings.filter(l => hasText(l, funnelProperties.positive)).length;
+      const negative = learnings.filter(l => hasText(l, funnelProperties.negative)).length;
+
+      return {
+        nodeId: root.id,
+        title: root.title,
+        backlog: backlog.length,
+        withRoadmap: backlog.filter(id => (outgoing.get(id) || []).some(t => validationTypes.has(typeOf(t)))).length,
+        withLearnings: backlog.filter(reachesLearning).length,
+        learnings: learnings.length,
+        positiveLearnings: positive,
+        negativeLearnings: negative,
+        positiveRatio: positive + negative ? Math.round(positive / (positive + negative) * 100) / 100 : null,
+        spawned: reached(hypothesisTypes).length
+      };
+    });
+  }
+
+  const funnel = computeFunnel();
+  const funnelSummary = funnel.map(f =>
+    `${f.title}: ${f.backlog} backlog → ${f.withRoadmap} with roadmap → ${f.withLearnings} with learnings ` +
+    `(${f.positiveLearnings}+ / ${f.negativeLearnings}−) → ${f.spawned} spawned`
+  ).join("\n");
+
+  // Relatório de integridade: uma lista única de issues para o Zap transformar em tarefas
+  async function buildIntegrityReport() {
+    const hypothesisTypes = funnelTypes("hypothesis");
+    const validationTypes = funnelTypes("validation");
+    const learningTypes = funnelTypes("learning");
+    const issues: any[] = [];
+
+    const pageUrl = (pageId: string) => pageCache.get(pageId)?.url || `https://www.notion.so/${pageId.replace(/-/g, "")}`;
+
+    // HB que nenhum WH alcança: páginas do database de HB fora do grafo
+    // (na linhagem o grafo é um recorte, então todo HB fora dele pareceria órfão;
+    // páginas que maxDepth/maxWinning deixaram de expandir são alcançáveis, só não foram visitadas)
+    const unexplored = new Set(truncation.unexploredPageIds);
+    if (lineage) debug.push("Integrity: lineage mode, skipping orphan check");
+    for (const hbType of lineage ? [] : hypothesisTypes) {
+      const dbIds = await databasesOfType(hbType);
+      if (!dbIds.length) {
+        debug.push(`Integrity: no database known for ${hbType}, skipping orphan check`);
+        continue;
+      }
+
+      for (const hbDbId of dbIds) {
+        const before = queryErrors.length;
+        const pageIds = await getAllPagesFromDatabase(hbDbId, Infinity);
+        if (queryErrors.length > before) {
+          issues.push({ kind: "query_failed", nodeType: hbType, pageId: hbDbId, title: typeDef(hbType)?.database || hbDbId, url: "", message: queryErrors[queryErrors.length - 1] });
+          continue;
+        }
+        pageIds.forEach(pageId => {
+          const page = pageCache.get(pageId);
+          if (nodeMap.has(mid(hbType, pageId)) || unexplored.has(pageId) || page?.archived || page?.in_trash) return;
+          issues.push({
+            kind: "orphan_hypothesis",
+            nodeType: hbType,
+            pageId,
+            title: getTitleFromPage(page),
+            url: pageUrl(pageId),
+            message: `${typeDef(hbType)?.label || hbType} is not linked from any crawled ${rootType}`
+          });
         });
+      }
+    }
+
+    // Relações gravadas no crawl (não as edges) para não confundir limite de profundidade com relação vazia
+    const relationsTo = (nodeType: string, targetTypes: Set<string>) =>
+      outgoingRelations(nodeType).filter((rel: any) => targetTypes.has(rel.to));
+
+    const checkEmpty = (types: Set<string>, targetTypes: Set<string>, kind: string, message: string) => {
+      nodes.filter(n => types.has(n.type)).forEach(node => {
+        const rels = relationsTo(node.type, targetTypes);
+        if (!rels.length) return;
+        const pageId = node.pageId || "";
+        const recorded = crawlPages[pageId]?.relations || {};
+        // Nós não expandidos (limite de profundidade, subida da linhagem) não têm as relações gravadas
+        if (!rels.some((rel: any) => Array.isArray(recorded[rel.property]))) return;
+        if (rels.some((rel: any) => (recorded[rel.property] || []).length)) return;
+        issues.push({ kind, nodeType: node.type, pageId, title: node.title, url: node.url || pageUrl(pageId), message });
+      });
+    };
+
+    checkEmpty(validationTypes, learningTypes, "validation_without_learnings", "Validation roadmap has no Learnings");
+    checkEmpty(learningTypes, hypothesisTypes, "learning_without_hypothesis", "Learning does not feed any new hypothesis");
+
+    // Alvos de relação que não abrem (404/403) ou estão arquivados / na lixeira
+    // O Notion responde 404 também para páginas não compartilhadas com a integração
+    const BROKEN_REASONS: Record<string, string> = {
+      not_found: "not found or not shared with the integration",
+      forbidden: "not accessible to the integration",
+      archived: "archived",
+      in_trash: "in the trash",
+      error: "failing to load"
+    };
+    const seenBroken = new Set<string>();
+    brokenTargets.forEach(b => {
+      const key = `${b.source}->${b.targetPageId}:${b.type}`;
+      if (seenBroken.has(key)) return;
+      seenBroken.add(key);
+
+      const reason = b.reason || (b.status === 404 ? "not_found" : b.status === 403 || b.status === 401 ? "forbidden" : "error");
+      const source = nodeMap.get(b.source);
+      issues.push({
+        kind: "broken_relation",
+        nodeType: source?.type || "",
+        pageId: source?.pageId || "",
+        title: source?.title || b.source,
+        url: source?.url || "",
+        relation: b.type,
+        targetType: b.targetType,
+        targetPageId: b.targetPageId,
+        reason,
+        message: `${b.type} points to a page that is ${BROKEN_REASONS[reason]}${b.message ? ` (${b.message})` : ""}`
       });
     });
-    
-    // Process HBs and their chains
-    const uniqueHBIds = Array.from(hbParentMap.keys());
-    if (uniqueHBIds.length) {
-      debug.push(`Found ${uniqueHBIds.length} unique Hypothesis Backlogs to process`);
-      await processHBRecursively(uniqueHBIds, hbParentMap, 0);
-    }
+
+    const summary: Record<string, number> = {};
+    issues.forEach(issue => { summary[issue.kind] = (summary[issue.kind] || 0) + 1; });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      scope: {
+        rootDatabaseId: dbId,
+        rootCount: nodes.filter(n => n.type === rootType).length,
+        // Com filtro, limite no root ou crawl truncado, "órfão" significa "fora dos WH rastreados"
+        partial: !!startFilter || !!lineage || selectedRootIds.length > 0 || allRootPages.length >= maxWinning || truncation.truncated
+      },
+      summary,
+      issues
+    };
   }
 
+  const integrity = integrityCheck ? await buildIntegrityReport() : null;
+  if (integrity) {
+    debug.push(`Integrity: ${integrity.issues.length} issues ${JSON.stringify(integrity.summary)}`);
+  }
+
+  const countsByName: Record<string, number> = {};
+  schema.nodeTypes.forEach((t: any) => { countsByName[countKey(t.type)] = counts[countKey(t.type)]; });
+
   // Criar objeto de dados do grafo
   const graphDataObj = {
     nodes: nodes,
@@ -850,12 +2079,45 @@ export async function buildWinningHypothesesMermaid({
       databaseId: dbId,
       databaseName: databaseName,
       processedAt: new Date().toISOString(),
+      notionVersion: H["Notion-Version"],
+      // Fontes de cada database consultado ({} sem data sources)
+      dataSources: Object.fromEntries(Array.from(databaseCache.values())
+        .filter(db => db.dataSources.length)
+        .map(db => [db.id, db.dataSources.map(ds => ({ id: ds.id, name: ds.name }))])),
+      schema: schema,
+      crawlState: {
+        configKey,
+        databases: crawlDatabases,
+        pages: crawlPages
+      },
+      incremental: {
+        enabled: !!previousCrawl,
+        reusedRelations: reusedRelationCount
+      },
+      requests: requestStats,
+      cycles: cycles,
+      funnel: funnel,
+      ...(integrity && { integrity }),
+      truncated: truncation,
+      ...(lineage && {
+        lineage: {
+          pageId: lineage.pageId,
+          nodeId: mid(lineage.nodeType, lineage.pageId),
+          nodeType: lineage.nodeType,
+          title: lineage.title,
+          descendants: lineageDescendants,
+          upstreamCount: lineage.upstreamCount,
+          rootNodeIds: lineage.rootIds.map(id => mid(rootType, id))
+        }
+      }),
+      filter: {
+        applied: startFilter || null,
+        sorts: startSorts || null,
+        shorthands: { status, tag, owner, dateFrom, dateTo },
+        winningPageIds: selectedRootIds.length ? selectedRootIds : null
+      },
       counts: {
-        winning: whCount,
-        bhq: bhqCount,
-        backlogs: hbCount,
-        validations: vrCount,
-        learnings: lCount,
+        ...countsByName,
         totalNodes: nodes.length,
         totalEdges: edges.length
       }
@@ -863,6 +2125,13 @@ export async function buildWinningHypothesesMermaid({
   };
 
   debug.push(`Final counts: ${nodes.length} nodes, ${edges.length} edges`);
+  if (previousCrawl) {
+    debug.push(`Incremental mode reused ${reusedRelationCount} relation lists`);
+  }
+  debug.push(`Notion requests: ${requestStats.requests}, retries: ${requestStats.retries} (${requestStats.rateLimited} rate limited), waited ${requestStats.waitMs}ms`);
+
+  const flatCounts: Record<string, number> = {};
+  Object.entries(countsByName).forEach(([name, value]) => { flatCounts[`${name}Count`] = value; });
 
   // Retornar como campos flat para evitar quebra no Zapier
   return {
@@ -873,11 +2142,28 @@ export async function buildWinningHypothesesMermaid({
     databaseId: dbId,
     databaseName: databaseName,
     processedAt: new Date().toISOString(),
-    winningCount: whCount,
-    bhqCount: bhqCount,
-    backlogsCount: hbCount,
-    validationsCount: vrCount,
-    learningsCount: lCount,
+    winningCount: 0,
+    bhqCount: 0,
+    backlogsCount: 0,
+    validationsCount: 0,
+    learningsCount: 0,
+    ...flatCounts,
+    incremental: !!previousCrawl,
+    reusedRelationCount,
+    cycleCount: cycles.length,
+    cyclePaths: cycles.map(c => c.path.join(" -> ")).join("\n"),
+    funnelMetrics: JSON.stringify(funnel),
+    funnelSummary,
+    integrityReport: integrity ? JSON.stringify(integrity) : "",
+    integrityIssueCount: integrity ? integrity.issues.length : 0,
+    lineageRootCount: lineage ? lineage.rootIds.length : 0,
+    truncated: truncation.truncated,
+    unexploredCount: truncation.unexploredCount,
+    winningCursor: truncation.winningCursor || "",
+    requestCount: requestStats.requests,
+    retryCount: requestStats.retries,
+    waitMs: requestStats.waitMs,
+    appliedFilter: startFilter ? JSON.stringify(startFilter) : "",
     debugLog: debug.join("\n") // Debug como string única
   };
-}
\ No newline at end of file
+}
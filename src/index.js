@@ -1 +1,353 @@
-console.log('Hello from zapiercodes');
+#!/usr/bin/env node
+// CLI para reproduzir localmente os passos do Zap (crawl do Notion, Mermaid, Miro e seção no Notion)
+import fs from "node:fs";
+import { parseArgs } from "node:util";
+import { loadStep } from "./steps.js";
+
+const USAGE = `Usage: zapiercodes <command> [options]
+
+Commands:
+  graph build    --db <name|id|url> [--out graph.json] [--previous graph.json] [--schema schema.json]
+                 [--property-map map.json] [--filter json] [--sorts json] [--status s] [--tag t] [--owner o]
+                 [--date-from iso] [--date-to iso] [--max-winning n] [--max-depth n] [--rps n]
+                 [--group-by-descendants VR,L] [--integrity] [--winning-cursor cursor]
+  graph build    --wh <page id|url> [--wh ...] [--db <name|id|url>] [--out graph.json]
+                 Only the given WH pages and their subtrees
+  graph build    --lineage <page id|url> [--descendants] [--db <name|id|url>] [--out graph.json]
+                 Lineage of one HB, VR or Learning page up to its WHs (--db pins the WH database)
+  graph mermaid  --in graph.json [--out diagram.mmd] [--diagrams-out diagrams.json] [--direction TD]
+                 [--max-nodes n] [--group-title-property key] [--no-styles] [--no-subgraphs] [--no-click]
+  graph diff     --before old.json --after new.json [--out changes.md]
+  graph export   --in graph.json --format graphml|dot|gexf|cytoscape [--out file]
+  miro sync      --board <id> --in graph.json [--dry-run]
+  notion section --page <id> --heading "..." --in diagram.mmd [--match equals|startsWith|contains]
+
+Common options:
+  --token <t>      API token (default: NOTION_TOKEN or MIRO_TOKEN)
+  --base-url <u>   API base URL (default: NOTION_BASE_URL / MIRO_BASE_URL or the public API)
+  --notion-version <v>  Notion-Version header (default: NOTION_VERSION or 2025-09-03; 2022-06-28 uses the
+                   pre-data-source endpoints)
+  --json           Print the step's full output as JSON
+  --debug          Print the step's debug log to stderr
+  --in -           Read the input from stdin`;
+
+const COMMON = {
+  token: { type: "string" },
+  "base-url": { type: "string" },
+  "notion-version": { type: "string" },
+  json: { type: "boolean" },
+  debug: { type: "boolean" },
+  help: { type: "boolean", short: "h" }
+};
+
+const COMMANDS = {
+  "graph build": {
+    options: {
+      db: { type: "string" },
+      out: { type: "string" },
+      previous: { type: "string" },
+      schema: { type: "string" },
+      "property-map": { type: "string" },
+      filter: { type: "string" },
+      sorts: { type: "string" },
+      status: { type: "string" },
+      tag: { type: "string" },
+      owner: { type: "string" },
+      "date-from": { type: "string" },
+      "date-to": { type: "string" },
+      "max-winning": { type: "string" },
+      "max-depth": { type: "string" },
+      "winning-cursor": { type: "string" },
+      rps: { type: "string" },
+      "group-by-descendants": { type: "string" },
+      integrity: { type: "boolean" },
+      wh: { type: "string", multiple: true },
+      lineage: { type: "string" },
+      descendants: { type: "boolean" }
+    },
+    run: graphBuild
+  },
+  "graph mermaid": {
+    options: {
+      in: { type: "string" },
+      out: { type: "string" },
+      "diagrams-out": { type: "string" },
+      direction: { type: "string" },
+      "max-nodes": { type: "string" },
+      "group-title-property": { type: "string" },
+      "no-styles": { type: "boolean" },
+      "no-subgraphs": { type: "boolean" },
+      "no-click": { type: "boolean" }
+    },
+    run: graphMermaid
+  },
+  "graph diff": {
+    options: {
+      before: { type: "string" },
+      after: { type: "string" },
+      out: { type: "string" }
+    },
+    run: graphDiff
+  },
+  "graph export": {
+    options: {
+      in: { type: "string" },
+      format: { type: "string" },
+      out: { type: "string" }
+    },
+    run: graphExport
+  },
+  "miro sync": {
+    options: {
+      board: { type: "string" },
+      in: { type: "string" },
+      "dry-run": { type: "boolean" }
+    },
+    run: miroSync
+  },
+  "notion section": {
+    options: {
+      page: { type: "string" },
+      heading: { type: "string" },
+      in: { type: "string" },
+      match: { type: "string" }
+    },
+    run: notionSection
+  }
+};
+
+// ---------- helpers ----------
+function required(values, name) {
+  if (!values[name]) throw new Error(`--${name} is required`);
+  return values[name];
+}
+
+function readInput(file) {
+  return fs.readFileSync(file === "-" ? 0 : file, "utf8");
+}
+
+// Aceita JSON inline ou caminho de arquivo JSON
+function jsonOption(value) {
+  if (value === undefined) return undefined;
+  return /^\s*[[{]/.test(value) ? value : readInput(value);
+}
+
+function numberOption(value, name) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw new Error(`--${name} must be a number`);
+  return n;
+}
+
+function writeOutput(file, text) {
+  if (file) {
+    fs.writeFileSync(file, text.endsWith("\n") ? text : `${text}\n`);
+    console.error(`Wrote ${file}`);
+  } else {
+    process.stdout.write(text.endsWith("\n") ? text : `${text}\n`);
+  }
+}
+
+function printDebug(values, lines) {
+  if (!values.debug || !lines) return;
+  console.error(Array.isArray(lines) ? lines.join("\n") : lines);
+}
+
+function notionTransport(values) {
+  const token = values.token || process.env.NOTION_TOKEN;
+  if (!token) throw new Error("Notion token missing: pass --token or set NOTION_TOKEN");
+  return {
+    token,
+    baseUrl: values["base-url"] || process.env.NOTION_BASE_URL,
+    notionVersion: values["notion-version"] || process.env.NOTION_VERSION
+  };
+}
+
+// ---------- commands ----------
+async function graphBuild(values) {
+  const { buildWinningHypothesesMermaid } = await loadStep("build");
+  const rps = numberOption(values.rps, "rps");
+  const result = await buildWinningHypothesesMermaid({
+    startWinningId: values.lineage || values.wh ? values.db : required(values, "db"),
+    winningPageIds: values.wh,
+    chainSchema: jsonOption(values.schema),
+    propertyMap: jsonOption(values["property-map"]),
+    previousGraphData: values.previous ? readInput(values.previous) : undefined,
+    filter: jsonOption(values.filter),
+    sorts: jsonOption(values.sorts),
+    status: values.status,
+    tag: values.tag,
+    owner: values.owner,
+    dateFrom: values["date-from"],
+    dateTo: values["date-to"],
+    maxWinning: numberOption(values["max-winning"], "max-winning"),
+    maxDepth: numberOption(values["max-depth"], "max-depth"),
+    winningCursor: values["winning-cursor"],
+    groupByDescendants: values["group-by-descendants"]?.split(",").map(s => s.trim()).filter(Boolean),
+    integrityCheck: !!values.integrity,
+    lineagePageId: values.lineage,
+    lineageDescendants: !!values.descendants,
+    rateLimit: rps === undefined ? {} : { requestsPerSecond: rps },
+    transport: notionTransport(values)
+  });
+  printDebug(values, result.debugLog);
+
+  if (values.json) return writeOutput(values.out, JSON.stringify(result, null, 2));
+
+  writeOutput(values.out, JSON.stringify(JSON.parse(result.graphData), null, 2));
+  console.error(
+    `${result.databaseName}: ${result.nodeCount} nodes, ${result.edgeCount} edges, ${result.groupCount} groups, ` +
+    `${result.cycleCount} cycles, ${result.requestCount} requests`
+  );
+  if (result.truncated) {
+    console.error(
+      `Truncated: ${result.unexploredCount} pages not loaded` +
+      (result.winningCursor ? ` (continue with --winning-cursor ${result.winningCursor})` : "")
+    );
+  }
+}
+
+async function graphMermaid(values) {
+  const { buildMermaidFromGraphData } = await loadStep("mermaid");
+  const result = await buildMermaidFromGraphData({
+    graphData: readInput(required(values, "in")),
+    emitStyles: !values["no-styles"],
+    groupSubgraphs: !values["no-subgraphs"],
+    clickableNodes: !values["no-click"],
+    groupTitleProperty: values["group-title-property"],
+    maxNodesPerDiagram: numberOption(values["max-nodes"], "max-nodes"),
+    ...(values.direction && { direction: values.direction })
+  });
+  printDebug(values, result.debug);
+
+  if (values["diagrams-out"]) {
+    // Formato aceito por `notion section --in`
+    fs.writeFileSync(values["diagrams-out"], JSON.stringify({ diagrams: JSON.parse(result.diagrams) }, null, 2));
+    console.error(`Wrote ${values["diagrams-out"]} (${result.diagramCount} diagrams)`);
+  }
+  writeOutput(values.out, values.json ? JSON.stringify(result, null, 2) : result.mermaid);
+}
+
+async function graphDiff(values) {
+  const { diffGraphData } = await loadStep("diff");
+  const result = await diffGraphData({
+    previousGraphData: readInput(required(values, "before")),
+    currentGraphData: readInput(required(values, "after"))
+  });
+  writeOutput(values.out, values.json ? JSON.stringify(result, null, 2) : result.changelog);
+}
+
+const EXPORT_FORMATS = ["graphml", "dot", "gexf", "cytoscape"];
+
+async function graphExport(values) {
+  const { exportGraphData } = await loadStep("export");
+  // Confere antes de ler result[format]: outros campos da saída (nodeCount...) não são formatos
+  const format = required(values, "format").trim().toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${values.format}". Use ${EXPORT_FORMATS.join(", ")}.`);
+  }
+  const result = await exportGraphData({ graphData: readInput(required(values, "in")), formats: format });
+  writeOutput(values.out, result[format]);
+}
+
+// Dry-run: leituras vão para o Miro se houver token (senão o board parece vazio);
+// escritas são só registradas e respondidas com IDs falsos
+function dryRunMiroFetch(token) {
+  const planned = [];
+  let nextId = 1;
+  const respond = (status, body) => ({
+    ok: status < 400,
+    status,
+    statusText: "OK",
+    headers: { get: () => null },
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  });
+
+  const fetchImpl = async (url, init = {}) => {
+    const method = (init.method || "GET").toUpperCase();
+    if (method === "GET") {
+      return token ? fetch(url, init) : respond(200, { data: [], cursor: null });
+    }
+    const body = init.body ? JSON.parse(init.body) : {};
+    planned.push({ method, path: new URL(url).pathname, body });
+    return respond(method === "POST" ? 201 : 200, { ...body, id: `dry-run-${nextId++}` });
+  };
+
+  return { fetchImpl, planned };
+}
+
+async function miroSync(values) {
+  const { createCardsOnMiroBoard } = await loadStep("miro");
+  const token = values.token || process.env.MIRO_TOKEN;
+  const board = required(values, "board");
+  const baseUrl = values["base-url"] || process.env.MIRO_BASE_URL;
+
+  let dryRun = null;
+  if (values["dry-run"]) {
+    dryRun = dryRunMiroFetch(token);
+  } else if (!token) {
+    throw new Error("Miro token missing: pass --token or set MIRO_TOKEN (or use --dry-run)");
+  }
+
+  const result = await createCardsOnMiroBoard({
+    miroBoardId: board,
+    miroAccessToken: token,
+    DataJson: readInput(required(values, "in")),
+    clearBoard: false,
+    transport: { token, baseUrl, ...(dryRun && { fetch: dryRun.fetchImpl }) }
+  });
+  printDebug(values, result.debugInfo);
+
+  if (dryRun) {
+    const byKind = {};
+    dryRun.planned.forEach(({ method, path }) => {
+      const kind = `${method} ${path.replace(/^.*\/boards\/[^/]+/, "").replace(/\/[^/]+$/, m => (/^\/(shapes|connectors|items)$/.test(m) ? m : "/:id"))}`;
+      byKind[kind] = (byKind[kind] || 0) + 1;
+    });
+    console.error("Dry run, nothing was written. Planned requests:");
+    Object.entries(byKind).forEach(([kind, count]) => console.error(`  ${count} × ${kind}`));
+    if (values.json) return writeOutput(values.out, JSON.stringify({ ...result, planned: dryRun.planned }, null, 2));
+  } else if (values.json) {
+    return writeOutput(values.out, JSON.stringify(result, null, 2));
+  }
+  console.log(result.result);
+}
+
+async function notionSection(values) {
+  const { manageNotionPageSections } = await loadStep("section");
+  const result = await manageNotionPageSections({
+    pageId: required(values, "page"),
+    targetBlockName: required(values, "heading"),
+    body: readInput(required(values, "in")),
+    matchMode: values.match || "equals",
+    transport: notionTransport(values)
+  });
+  printDebug(values, result.debug);
+  if (values.json) return writeOutput(undefined, JSON.stringify(result, null, 2));
+  console.log(result.note || (result.replaced ? "Section updated." : "Nothing changed."));
+}
+
+// ---------- main ----------
+async function main(argv) {
+  const [group, action, ...rest] = argv;
+  if (!group || group === "--help" || group === "-h" || group === "help") {
+    console.log(USAGE);
+    return;
+  }
+
+  const command = COMMANDS[`${group} ${action}`];
+  if (!command) throw new Error(`Unknown command "${[group, action].filter(Boolean).join(" ")}".\n\n${USAGE}`);
+
+  const { values } = parseArgs({ args: rest, options: { ...COMMON, ...command.options }, strict: true });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  await command.run(values);
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(`Error: ${err.message}`);
+  process.exitCode = 1;
+});
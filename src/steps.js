@@ -0,0 +1,34 @@
+// Carrega os passos de código do Zapier (TypeScript dentro de .js, sem imports) para rodar no Node
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import ts from "typescript";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+export const STEP_FILES = {
+  build: "buildWinningHypothesesMermaidActive.js",
+  mermaid: "GenerateMermaidFromGraphData.js",
+  diff: "DiffGraphData.js",
+  export: "ExportGraphData.js",
+  miro: "MiroToCardsACtive.js",
+  section: "NotionFindBlockandPrintMermad.js"
+};
+
+const cache = new Map();
+
+// Transpila só os tipos (sem checagem) e importa o módulo em memória, sem gerar arquivos
+export async function loadStep(name) {
+  const file = STEP_FILES[name];
+  if (!file) throw new Error(`Unknown step "${name}". Known steps: ${Object.keys(STEP_FILES).join(", ")}`);
+  if (cache.has(name)) return cache.get(name);
+
+  const source = fs.readFileSync(path.join(ROOT, file), "utf8");
+  const { outputText } = ts.transpileModule(source, {
+    fileName: file.replace(/\.js$/, ".ts"),
+    compilerOptions: { target: ts.ScriptTarget.ES2022, module: ts.ModuleKind.ESNext }
+  });
+  const mod = await import(`data:text/javascript;base64,${Buffer.from(outputText).toString("base64")}`);
+  cache.set(name, mod);
+  return mod;
+}
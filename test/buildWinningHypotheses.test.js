@@ -0,0 +1,576 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { loadStep } from "../src/steps.js";
+import { createNotionMock } from "./support/notionMock.js";
+import {
+  uuid, nodeId, databaseId, dataSourceId, USERS,
+  chainWorkspace, bhqWorkspace, wideWorkspace, multiSourceWorkspace, WIDE_WH_COUNT, WIDE_HB_COUNT
+} from "./support/fixtures.js";
+
+const { buildWinningHypothesesMermaid } = await loadStep("build");
+
+async function build(mock, options = {}) {
+  const result = await buildWinningHypothesesMermaid({
+    startWinningId: "Winning Hypotheses",
+    transport: mock.transport,
+    rateLimit: { requestsPerSecond: 0, maxBackoffMs: 10 },
+    ...options
+  });
+  return { result, graph: JSON.parse(result.graphData) };
+}
+
+const edgesBetween = (graph, source, target) =>
+  graph.edges.filter(e => e.source === source && e.target === target);
+
+describe("buildWinningHypothesesMermaid on the chain workspace", () => {
+  let mock, result, graph;
+
+  before(async () => {
+    mock = await createNotionMock(chainWorkspace());
+    ({ result, graph } = await build(mock, { integrityCheck: true }));
+  });
+  after(() => mock.close());
+
+  it("crawls every reachable page of the chain", () => {
+    assert.equal(result.databaseId, databaseId("wh"));
+    assert.equal(result.databaseName, "Winning Hypotheses");
+    assert.equal(result.winningCount, 3);
+    assert.equal(result.backlogsCount, 6);
+    assert.equal(result.validationsCount, 3);
+    assert.equal(result.learningsCount, 2);
+    assert.ok(!graph.nodes.some(n => n.id === nodeId("HB", "hb-orphan")));
+    assert.ok(!graph.nodes.some(n => n.id === nodeId("HB", "hb-missing")));
+  });
+
+  it("links a shared HB to every WH that points to it", () => {
+    const shared = nodeId("HB", "hb-shared");
+    assert.equal(edgesBetween(graph, nodeId("WH", "wh-a"), shared).length, 1);
+    assert.equal(edgesBetween(graph, nodeId("WH", "wh-b"), shared).length, 1);
+    assert.equal(graph.nodes.filter(n => n.id === shared).length, 1);
+  });
+
+  it("groups WHs that share HBs", () => {
+    const groupOf = name => graph.nodes.find(n => n.id === nodeId("WH", name)).groupId;
+    assert.equal(result.groupCount, 2);
+    assert.equal(groupOf("wh-a"), groupOf("wh-b"));
+    assert.notEqual(groupOf("wh-a"), groupOf("wh-c"));
+    // ID estável: o WH mais antigo do grupo, sem hífens
+    assert.equal(groupOf("wh-a"), uuid("wh-a").replace(/-/g, ""));
+  });
+
+  it("stops at the L -> HB cycle and reports it", () => {
+    assert.equal(result.cycleCount, 1);
+    assert.deepEqual(result.cyclePaths.split(" -> "), [
+      nodeId("HB", "hb-shared"), nodeId("VR", "vr-1"), nodeId("L", "l-1"), nodeId("HB", "hb-shared")
+    ]);
+    const [back] = edgesBetween(graph, nodeId("L", "l-1"), nodeId("HB", "hb-shared"));
+    assert.equal(back.backEdge, true);
+  });
+
+  it("records the Notion relation behind each edge", () => {
+    const [edge] = edgesBetween(graph, nodeId("WH", "wh-a"), nodeId("HB", "hb-a"));
+    assert.equal(edge.type, "wh_to_hb");
+    assert.equal(edge.propertyName, "All Hypotheses Backlog");
+    assert.equal(edge.propertyId, "allhypothesesbacklog");
+    assert.equal(edge.sourceDatabaseId, databaseId("wh"));
+    assert.equal(edge.targetDatabaseId, databaseId("hb"));
+  });
+
+  it("keeps one edge per relation when two properties link the same pages", async () => {
+    const workspace = chainWorkspace();
+    workspace.pages[uuid("wh-a")].values["Supporting Backlog"] = [uuid("hb-a")];
+    const schema = structuredClone(graph.metadata.schema);
+    schema.relations.push({ key: "wh_supports_hb", from: "WH", to: "HB", property: "Supporting Backlog" });
+    const twoRelations = await createNotionMock(workspace);
+    try {
+      const { graph: g } = await build(twoRelations, { chainSchema: schema });
+      const edges = edgesBetween(g, nodeId("WH", "wh-a"), nodeId("HB", "hb-a"));
+      assert.deepEqual(edges.map(e => [e.type, e.propertyName, e.propertyId]).sort(), [
+        ["wh_supports_hb", "Supporting Backlog", "supportingbacklog"],
+        ["wh_to_hb", "All Hypotheses Backlog", "allhypothesesbacklog"]
+      ]);
+    } finally {
+      await twoRelations.close();
+    }
+  });
+
+  it("carries page metadata and mapped properties on nodes", () => {
+    const wh = graph.nodes.find(n => n.id === nodeId("WH", "wh-a"));
+    assert.equal(wh.title, "Onboarding converts");
+    assert.equal(wh.icon, "🚀");
+    assert.equal(wh.createdBy, USERS[0].id);
+    assert.equal(wh.url, `https://www.notion.so/${uuid("wh-a").replace(/-/g, "")}`);
+    assert.equal(wh.properties.description, "Guided setup raises activation");
+
+    const learning = graph.nodes.find(n => n.id === nodeId("L", "l-1"));
+    assert.equal(learning.properties.positiveSummary, "Activation up 12%");
+
+    const archived = graph.nodes.find(n => n.id === nodeId("HB", "hb-archived"));
+    assert.equal(archived.archived, true);
+  });
+
+  it("computes the funnel per WH", () => {
+    const funnel = JSON.parse(result.funnelMetrics);
+    const whA = funnel.find(f => f.title === "Onboarding converts");
+    assert.equal(whA.backlog, 2);
+    assert.equal(whA.withRoadmap, 2);
+    assert.equal(whA.withLearnings, 1);
+    assert.equal(whA.spawned, 1);
+  });
+
+  it("takes the funnel stages of a custom schema from chainSchema.funnel", async () => {
+    const schema = structuredClone(graph.metadata.schema);
+    delete schema.funnel;
+    schema.nodeTypes.forEach(t => { t.countAs = `${t.type.toLowerCase()}Items`; });
+    await assert.rejects(build(mock, { chainSchema: schema }), /no node type for the funnel stage "hypothesis"/);
+
+    schema.funnel = { hypothesis: "HB", validation: "VR", learning: "L" };
+    const custom = await build(mock, { chainSchema: schema });
+    assert.deepEqual(JSON.parse(custom.result.funnelMetrics), JSON.parse(result.funnelMetrics));
+
+    const off = await build(mock, { chainSchema: { ...schema, funnel: false } });
+    assert.equal(off.result.funnelMetrics, "[]");
+  });
+
+  it("reports orphans, dead ends and broken relations", () => {
+    const report = JSON.parse(result.integrityReport);
+    assert.deepEqual(report.summary, {
+      orphan_hypothesis: 1,
+      validation_without_learnings: 1,
+      learning_without_hypothesis: 1,
+      broken_relation: 2
+    });
+    const byKind = kind => report.issues.filter(i => i.kind === kind);
+    assert.equal(byKind("orphan_hypothesis")[0].pageId, uuid("hb-orphan"));
+    assert.equal(byKind("validation_without_learnings")[0].pageId, uuid("vr-2"));
+    assert.equal(byKind("learning_without_hypothesis")[0].pageId, uuid("l-2"));
+
+    const broken = Object.fromEntries(byKind("broken_relation").map(i => [i.targetPageId, i.reason]));
+    assert.deepEqual(broken, { [uuid("hb-missing")]: "not_found", [uuid("hb-archived")]: "archived" });
+  });
+});
+
+describe("buildWinningHypothesesMermaid start database and filters", () => {
+  let mock;
+
+  before(async () => { mock = await createNotionMock(chainWorkspace()); });
+  after(() => mock.close());
+
+  it("resolves the start database by URL", async () => {
+    const url = `https://www.notion.so/acme/${databaseId("wh").replace(/-/g, "")}?v=${uuid("some-view").replace(/-/g, "")}`;
+    const { result } = await build(mock, { startWinningId: url });
+    assert.equal(result.databaseId, databaseId("wh"));
+    assert.equal(result.winningCount, 3);
+  });
+
+  it("fails clearly on an unknown database name", async () => {
+    await assert.rejects(build(mock, { startWinningId: "Losing Hypotheses" }), /Database "Losing Hypotheses" not found/);
+  });
+
+  it("applies the status, tag and owner shorthands", async () => {
+    const titles = async options => {
+      const { graph } = await build(mock, options);
+      return graph.nodes.filter(n => n.type === "WH").map(n => n.title).sort();
+    };
+    assert.deepEqual(await titles({ status: "Active" }), ["Onboarding converts", "Retention grows"]);
+    assert.deepEqual(await titles({ tag: "pricing" }), ["Pricing page sells"]);
+    assert.deepEqual(await titles({ owner: "ana@example.com" }), ["Onboarding converts", "Pricing page sells"]);
+    assert.deepEqual(await titles({ status: "Active,Paused", owner: "Bruno Reis" }), ["Retention grows"]);
+  });
+
+  it("reuses unchanged relations in incremental mode", async () => {
+    const first = await build(mock);
+    const requestsBefore = mock.requests.length;
+    const second = await build(mock, { previousGraphData: first.result.graphData });
+    const propertyCalls = mock.requests.slice(requestsBefore).filter(r => r.path.includes("/properties/"));
+
+    assert.equal(second.result.incremental, true);
+    assert.ok(second.result.reusedRelationCount > 0);
+    assert.equal(propertyCalls.length, 0);
+    assert.deepEqual(
+      second.graph.edges.map(e => `${e.source}->${e.target}`).sort(),
+      first.graph.edges.map(e => `${e.source}->${e.target}`).sort()
+    );
+  });
+
+  it("rereads relations of a page edited in the same minute they were read", async () => {
+    // Longe da virada do minuto: a leitura precisa cair no mesmo minuto da edição
+    if (Date.now() % 60000 > 55000) await new Promise(resolve => setTimeout(resolve, 60000 - Date.now() % 60000 + 50));
+    const workspace = chainWorkspace();
+    const minute = new Date(Math.floor(Date.now() / 60000) * 60000).toISOString();
+    workspace.pages[uuid("wh-c")].lastEditedTime = minute;
+    const sameMinute = await createNotionMock(workspace);
+    try {
+      const first = await build(sameMinute);
+      // Editada depois da leitura, no mesmo minuto: last_edited_time não muda
+      sameMinute.state.pages[uuid("wh-c")].values["All Hypotheses Backlog"].push(uuid("hb-orphan"));
+      // Um crawl longo termina minutos depois de ler as relações
+      const previous = JSON.parse(first.result.graphData);
+      previous.metadata.processedAt = new Date(Date.now() + 5 * 60000).toISOString();
+
+      const second = await build(sameMinute, { previousGraphData: JSON.stringify(previous) });
+      assert.ok(second.result.reusedRelationCount > 0);
+      assert.equal(edgesBetween(second.graph, nodeId("WH", "wh-c"), nodeId("HB", "hb-orphan")).length, 1);
+    } finally {
+      await sameMinute.close();
+    }
+  });
+});
+
+describe("buildWinningHypothesesMermaid through BHQ", () => {
+  let mock;
+
+  before(async () => { mock = await createNotionMock(bhqWorkspace()); });
+  after(() => mock.close());
+
+  it("reaches HBs through BHQ and skips the direct WH -> HB relation", async () => {
+    const { result, graph } = await build(mock);
+    assert.equal(result.bhqCount, 1);
+    assert.equal(edgesBetween(graph, nodeId("WH", "wh-q"), nodeId("BHQ", "bhq-1")).length, 1);
+    assert.equal(edgesBetween(graph, nodeId("BHQ", "bhq-1"), nodeId("HB", "hb-q")).length, 1);
+    assert.ok(!graph.nodes.some(n => n.id === nodeId("HB", "hb-direct")));
+  });
+});
+
+describe("buildWinningHypothesesMermaid on a wide workspace", () => {
+  let mock;
+
+  before(async () => { mock = await createNotionMock(wideWorkspace()); });
+  after(() => mock.close());
+
+  it("follows query and relation pagination", async () => {
+    const { result, graph } = await build(mock);
+    assert.equal(result.winningCount, WIDE_WH_COUNT);
+    assert.equal(result.backlogsCount, WIDE_HB_COUNT);
+    assert.equal(graph.edges.filter(e => e.source === nodeId("WH", "wh-wide-0")).length, WIDE_HB_COUNT);
+
+    const queries = mock.requests.filter(r => r.path === `/v1/data_sources/${dataSourceId("wh")}/query`);
+    assert.equal(queries.length, 2);
+    assert.ok(mock.requests.some(r => r.path.includes("/properties/") && r.query.start_cursor));
+  });
+
+  it("honours maxWinning", async () => {
+    const { result } = await build(mock, { maxWinning: 10 });
+    assert.equal(result.winningCount, 10);
+  });
+
+  it("continues from the cursor of a run cut by maxWinning", async () => {
+    const first = await build(mock, { maxWinning: 100 });
+    assert.equal(first.result.truncated, true);
+    assert.ok(first.result.winningCursor);
+    assert.ok(first.graph.nodes.some(n => n.id === "MORE_WH" && n.nextCursor === first.result.winningCursor));
+
+    const rest = await build(mock, { maxWinning: 100, winningCursor: first.result.winningCursor });
+    assert.equal(rest.result.winningCount, WIDE_WH_COUNT - 100);
+    assert.equal(rest.result.truncated, false);
+    assert.equal(rest.result.winningCursor, "");
+    const seen = new Set(first.graph.nodes.map(n => n.id));
+    assert.ok(rest.graph.nodes.filter(n => n.type === "WH").every(n => !seen.has(n.id)));
+  });
+});
+
+describe("buildWinningHypothesesMermaid truncation markers", () => {
+  let mock;
+
+  before(async () => { mock = await createNotionMock(chainWorkspace()); });
+  after(() => mock.close());
+
+  it("adds a +N more node where maxDepth stopped the crawl", async () => {
+    const { result, graph } = await build(mock, { maxDepth: 1 });
+    const marker = graph.nodes.find(n => n.type === "MORE");
+
+    assert.equal(result.truncated, true);
+    assert.equal(result.unexploredCount, 1);
+    assert.equal(marker.id, `MORE_${nodeId("L", "l-1")}_l_to_hb`);
+    assert.equal(marker.title, "+1 more HB");
+    assert.deepEqual(marker.pageIds, [uuid("hb-spawn")]);
+    assert.equal(edgesBetween(graph, nodeId("L", "l-1"), marker.id).length, 1);
+    // Alvo já carregado por outro caminho: só a aresta, sem marcador
+    assert.equal(edgesBetween(graph, nodeId("L", "l-1"), nodeId("HB", "hb-shared")).length, 1);
+    assert.ok(!graph.nodes.some(n => n.id === nodeId("HB", "hb-spawn")));
+    assert.deepEqual(graph.metadata.truncated.reasons, ["maxDepth"]);
+    assert.deepEqual(graph.metadata.truncated.unexploredByType, { HB: 1 });
+    assert.deepEqual(graph.metadata.truncated.unexploredPageIds, [uuid("hb-spawn")]);
+  });
+
+  it("does not report pages cut by maxDepth as orphans", async () => {
+    const { result } = await build(mock, { maxDepth: 1, integrityCheck: true });
+    const report = JSON.parse(result.integrityReport);
+    const orphans = report.issues.filter(i => i.kind === "orphan_hypothesis").map(i => i.pageId);
+
+    assert.deepEqual(orphans, [uuid("hb-orphan")]);
+    assert.equal(report.scope.partial, true);
+  });
+
+  it("lists the selected WH pages left out by maxWinning", async () => {
+    const { result, graph } = await build(mock, {
+      startWinningId: undefined,
+      winningPageIds: [uuid("wh-a"), uuid("wh-b"), uuid("wh-c")],
+      maxWinning: 2
+    });
+    const marker = graph.nodes.find(n => n.id === "MORE_WH");
+
+    assert.equal(result.winningCount, 2);
+    assert.equal(result.winningCursor, "");
+    assert.equal(marker.title, "+1 more WH");
+    assert.deepEqual(graph.metadata.truncated.unexploredPageIds, [uuid("wh-c")]);
+  });
+
+  it("reports nothing when the whole chain was crawled", async () => {
+    const { result, graph } = await build(mock);
+    assert.equal(result.truncated, false);
+    assert.equal(result.unexploredCount, 0);
+    assert.ok(!graph.nodes.some(n => n.type === "MORE"));
+  });
+});
+
+describe("buildWinningHypothesesMermaid retries", () => {
+  it("retries rate-limited and failing requests", async () => {
+    const mock = await createNotionMock(bhqWorkspace(), {
+      failures: [
+        { method: "POST", path: /\/query$/, status: 429, retryAfter: 0 },
+        { method: "GET", path: /^\/v1\/pages\/[^/]+$/, status: 502, times: 2 }
+      ]
+    });
+    try {
+      const { result } = await build(mock);
+      assert.equal(result.retryCount, 3);
+      assert.equal(result.nodeCount, 4);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  it("holds every queued request until Retry-After has passed", async () => {
+    const mock = await createNotionMock(wideWorkspace(), {
+      failures: [{ method: "GET", path: /^\/v1\/pages\/[^/]+$/, status: 429, retryAfter: 1 }]
+    });
+    try {
+      const started = Date.now();
+      // maxBackoffMs abaixo do Retry-After: o pedido do Notion prevalece
+      const { result } = await build(mock, { rateLimit: { requestsPerSecond: 20, maxBackoffMs: 10 } });
+      const elapsed = Date.now() - started;
+      const limited = mock.requests.findIndex(r => r.method === "GET" && /^\/v1\/pages\/[^/]+$/.test(r.path));
+      const early = mock.requests.slice(limited + 1).filter(r => r.at < mock.requests[limited].at + 950);
+
+      assert.equal(result.backlogsCount, WIDE_HB_COUNT);
+      assert.deepEqual(early.map(r => r.path), []);
+      // Tempo de relógio: esperas simultâneas contam uma vez só
+      assert.ok(result.waitMs >= 950 && result.waitMs <= elapsed, `waitMs ${result.waitMs}, elapsed ${elapsed}`);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  it("gives up after maxRetries", async () => {
+    const mock = await createNotionMock(bhqWorkspace(), {
+      failures: [{ method: "POST", path: /^\/v1\/search$/, status: 500, times: 5 }]
+    });
+    try {
+      await assert.rejects(build(mock, { rateLimit: { requestsPerSecond: 0, maxRetries: 2, maxBackoffMs: 1 } }), /HTTP 500/);
+    } finally {
+      await mock.close();
+    }
+  });
+});
+
+describe("buildWinningHypothesesMermaid lineage mode", () => {
+  let mock;
+
+  before(async () => { mock = await createNotionMock(chainWorkspace()); });
+  after(() => mock.close());
+
+  const lineage = (name, options = {}) => build(mock, { startWinningId: undefined, lineagePageId: uuid(name), ...options });
+  const edgeKeys = graph => graph.edges.map(e => `${e.source}->${e.target}`).sort();
+
+  it("walks up from a roadmap to every WH behind it", async () => {
+    const { result, graph } = await lineage("vr-1", { integrityCheck: true });
+
+    assert.equal(result.lineageRootCount, 2);
+    assert.equal(result.databaseId, databaseId("wh"));
+    assert.deepEqual(graph.nodes.map(n => n.id).sort(), [
+      nodeId("HB", "hb-shared"), nodeId("L", "l-1"), nodeId("VR", "vr-1"), nodeId("WH", "wh-a"), nodeId("WH", "wh-b")
+    ].sort());
+    assert.deepEqual(edgeKeys(graph), [
+      `${nodeId("HB", "hb-shared")}->${nodeId("VR", "vr-1")}`,
+      `${nodeId("L", "l-1")}->${nodeId("HB", "hb-shared")}`,
+      `${nodeId("VR", "vr-1")}->${nodeId("L", "l-1")}`,
+      `${nodeId("WH", "wh-a")}->${nodeId("HB", "hb-shared")}`,
+      `${nodeId("WH", "wh-b")}->${nodeId("HB", "hb-shared")}`
+    ].sort());
+    assert.equal(result.groupCount, 1);
+    assert.equal(graph.metadata.lineage.nodeId, nodeId("VR", "vr-1"));
+
+    // Ancestrais não expandidos não viram "sem Learnings" nem órfãos
+    const report = JSON.parse(result.integrityReport);
+    assert.equal(report.scope.partial, true);
+    assert.deepEqual(report.issues, []);
+  });
+
+  it("follows spawned hypotheses back through their learnings", async () => {
+    const { graph } = await lineage("l-2");
+    const ids = new Set(graph.nodes.map(n => n.id));
+    assert.ok(ids.has(nodeId("VR", "vr-3")));
+    assert.ok(ids.has(nodeId("HB", "hb-spawn")));
+    assert.ok(ids.has(nodeId("L", "l-1")));
+    assert.ok(ids.has(nodeId("WH", "wh-a")));
+    assert.ok(!ids.has(nodeId("WH", "wh-c")));
+    assert.ok(!ids.has(nodeId("HB", "hb-a")));
+  });
+
+  it("optionally walks back down from the start page", async () => {
+    const up = await lineage("hb-spawn");
+    const both = await lineage("hb-spawn", { lineageDescendants: true });
+    const added = both.graph.nodes.map(n => n.id).filter(id => !up.graph.nodes.some(n => n.id === id));
+
+    assert.deepEqual(added.sort(), [nodeId("L", "l-2"), nodeId("VR", "vr-3")].sort());
+    assert.ok(!both.graph.nodes.some(n => n.id === nodeId("HB", "hb-a")));
+  });
+
+  it("respects the BHQ rule on the way up", async () => {
+    const bhqMock = await createNotionMock(bhqWorkspace());
+    try {
+      const { result, graph } = await build(bhqMock, { startWinningId: undefined, lineagePageId: uuid("hb-direct") });
+      assert.equal(result.lineageRootCount, 0);
+      assert.deepEqual(graph.nodes.map(n => n.id), [nodeId("HB", "hb-direct")]);
+
+      const viaBhq = await build(bhqMock, { startWinningId: undefined, lineagePageId: uuid("vr-q") });
+      assert.equal(viaBhq.result.lineageRootCount, 1);
+      assert.equal(edgesBetween(viaBhq.graph, nodeId("WH", "wh-q"), nodeId("BHQ", "bhq-1")).length, 1);
+    } finally {
+      await bhqMock.close();
+    }
+  });
+
+  it("rejects pages outside the chain databases", async () => {
+    const docs = { ...chainWorkspace() };
+    docs.pages[uuid("stray")] = { database: databaseId("docs"), title: "Stray", values: {} };
+    const strayMock = await createNotionMock(docs);
+    try {
+      await assert.rejects(build(strayMock, { startWinningId: undefined, lineagePageId: uuid("stray") }), /not one of the chain schema databases/);
+    } finally {
+      await strayMock.close();
+    }
+  });
+});
+
+describe("buildWinningHypothesesMermaid with selected WH pages", () => {
+  let mock, full;
+
+  before(async () => {
+    mock = await createNotionMock(chainWorkspace());
+    full = (await build(mock)).graph;
+  });
+  after(() => mock.close());
+
+  const selected = (ids, options = {}) => build(mock, { startWinningId: undefined, winningPageIds: ids, ...options });
+
+  it("builds only the subtree of one WH, in the full-crawl format", async () => {
+    const requestsBefore = mock.requests.length;
+    const { result, graph } = await selected([uuid("wh-c")]);
+    const calls = mock.requests.slice(requestsBefore);
+
+    assert.equal(result.winningCount, 1);
+    assert.equal(result.databaseId, databaseId("wh"));
+    assert.equal(result.databaseName, "Winning Hypotheses");
+    assert.deepEqual(graph.nodes.map(n => n.id).sort(), [
+      nodeId("WH", "wh-c"), nodeId("HB", "hb-c"), nodeId("HB", "hb-archived")
+    ].sort());
+    assert.ok(!calls.some(r => r.path === `/v1/data_sources/${dataSourceId("wh")}/query`));
+
+    // Mesmo nó (estilo, propriedades, metadados) que no crawl do database inteiro
+    const node = graph.nodes.find(n => n.id === nodeId("HB", "hb-c"));
+    assert.deepEqual(node, full.nodes.find(n => n.id === node.id));
+  });
+
+  it("accepts URLs separated by commas and groups them like a full crawl", async () => {
+    const urls = ["wh-a", "wh-b"].map(name => `https://www.notion.so/acme/Page-${uuid(name).replace(/-/g, "")}`).join(", ");
+    const { result, graph } = await selected(urls);
+    const groupOf = name => graph.nodes.find(n => n.id === nodeId("WH", name)).groupId;
+
+    assert.equal(result.winningCount, 2);
+    assert.equal(result.groupCount, 1);
+    assert.equal(groupOf("wh-a"), groupOf("wh-b"));
+    assert.deepEqual(graph.metadata.filter.winningPageIds, [uuid("wh-a"), uuid("wh-b")]);
+  });
+
+  it("rejects missing pages and pages from other databases", async () => {
+    await assert.rejects(selected([uuid("wh-a"), uuid("wh-gone")]), new RegExp(`WH pages not found: ${uuid("wh-gone")} `));
+    await assert.rejects(selected([uuid("hb-a")]), /not in the WH database "Winning Hypotheses"/);
+    await assert.rejects(selected([uuid("wh-a"), uuid("hb-a")]), /2 different databases/);
+    await assert.rejects(selected("not-an-id"), /is not a Notion page ID or URL/);
+  });
+});
+
+describe("buildWinningHypothesesMermaid with data sources", () => {
+  let mock;
+
+  before(async () => { mock = await createNotionMock(multiSourceWorkspace()); });
+  after(() => mock.close());
+
+  it("queries every data source of multi-source databases", async () => {
+    const { result, graph } = await build(mock);
+
+    assert.equal(result.databaseId, databaseId("wh"));
+    assert.equal(result.winningCount, 3);
+    assert.equal(result.backlogsCount, 2);
+    assert.equal(result.validationsCount, 1);
+    assert.equal(edgesBetween(graph, nodeId("WH", "wh-2025"), nodeId("HB", "hb-2025"))[0].targetDatabaseId, databaseId("hb"));
+    assert.equal(graph.metadata.notionVersion, "2025-09-03");
+    assert.deepEqual(graph.metadata.dataSources[databaseId("wh")].map(ds => ds.name), ["Winning Hypotheses", "Winning Hypotheses 2025"]);
+    assert.deepEqual(graph.metadata.crawlState.databases.HB, [databaseId("hb")]);
+  });
+
+  it("finds the database by the title of one of its data sources", async () => {
+    const { result } = await build(mock, { startWinningId: "Winning Hypotheses 2025" });
+    const search = mock.requests.filter(r => r.path === "/v1/search").pop();
+
+    assert.equal(search.body.filter.value, "data_source");
+    assert.equal(result.databaseId, databaseId("wh"));
+    assert.equal(result.winningCount, 3);
+  });
+
+  it("continues across data sources with the cursor", async () => {
+    const first = await build(mock, { maxWinning: 1 });
+    assert.equal(first.result.winningCursor, `${dataSourceId("wh", 1)}:`);
+
+    const second = await build(mock, { maxWinning: 1, winningCursor: first.result.winningCursor });
+    assert.deepEqual(second.graph.nodes.filter(n => n.type === "WH").map(n => n.title), ["Usage-based pricing"]);
+    assert.equal(second.result.winningCursor, `${dataSourceId("wh", 1)}:1`);
+  });
+
+  it("resolves the type of a lineage page from its data source parent", async () => {
+    const { result } = await build(mock, { startWinningId: undefined, lineagePageId: uuid("hb-2025") });
+    assert.equal(result.lineageRootCount, 2);
+  });
+
+  it("fails when one data source of the query fails", async () => {
+    const failing = await createNotionMock(multiSourceWorkspace(), {
+      failures: [{ method: "POST", path: new RegExp(`^/v1/data_sources/${dataSourceId("wh", 1)}/query$`), status: 500, times: 10 }]
+    });
+    try {
+      await assert.rejects(build(failing, { rateLimit: { requestsPerSecond: 0, maxRetries: 1, maxBackoffMs: 1 } }), /Query on database "Winning Hypotheses" failed: .*HTTP 500/);
+      await assert.rejects(
+        build(failing, { startWinningId: undefined, lineagePageId: uuid("hb-2025"), rateLimit: { requestsPerSecond: 0, maxRetries: 1, maxBackoffMs: 1 } }),
+        /Lineage query for .* failed: .*HTTP 500/
+      );
+    } finally {
+      await failing.close();
+    }
+  });
+
+  it("keeps the 2022-06-28 endpoints available as a fallback", async () => {
+    const legacy = await createNotionMock(chainWorkspace());
+    try {
+      const { result, graph } = await build(legacy, { notionVersion: "2022-06-28" });
+      assert.equal(result.winningCount, 3);
+      assert.equal(graph.metadata.notionVersion, "2022-06-28");
+      assert.ok(legacy.requests.some(r => r.path === `/v1/databases/${databaseId("wh")}/query`));
+      assert.ok(!legacy.requests.some(r => r.path.startsWith("/v1/data_sources")));
+    } finally {
+      await legacy.close();
+    }
+    // A versão antiga não lê databases com várias fontes
+    await assert.rejects(build(mock, { notionVersion: "2022-06-28", startWinningId: databaseId("wh") }), /several data sources need 2025-09-03/);
+  });
+});
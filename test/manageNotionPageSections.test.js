@@ -0,0 +1,116 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { loadStep } from "../src/steps.js";
+import { createNotionMock } from "./support/notionMock.js";
+import { uuid, docsWorkspace, SECTION_HEADING } from "./support/fixtures.js";
+
+const { manageNotionPageSections } = await loadStep("section");
+
+const plain = block => (block.richText || []).map(rt => rt.plain_text).join("") || block.text || "";
+const summary = blocks => blocks.map(b => `${b.type}:${b.type === "code" ? plain(b).split("\n").pop().trim() : plain(b)}`);
+
+describe("manageNotionPageSections", () => {
+  let mock;
+
+  beforeEach(async () => { mock = await createNotionMock(docsWorkspace()); });
+  afterEach(() => mock.close());
+
+  const write = (pageName, body, options = {}) => manageNotionPageSections({
+    pageId: uuid(pageName),
+    targetBlockName: SECTION_HEADING,
+    body,
+    transport: mock.transport,
+    ...options
+  });
+
+  it("replaces the Mermaid blocks right below the heading", async () => {
+    const result = await write("doc-report", "```mermaid\nflowchart TD\n  fresh\n```");
+
+    assert.equal(result.replaced, true);
+    assert.equal(result.deletedCount, 2);
+    assert.equal(result.appendedCount, 1);
+    assert.equal(result.anchorCreated, false);
+    assert.deepEqual(summary(mock.state.blocks[uuid("doc-report")]), [
+      "paragraph:Intro",
+      `heading_2:${SECTION_HEADING}`,
+      "code:fresh",
+      "paragraph:Keep me"
+    ]);
+  });
+
+  it("creates the heading at the end of the page when it is missing", async () => {
+    const result = await write("doc-empty", JSON.stringify({ mermaid: "flowchart TD\n  a --> b" }));
+
+    assert.equal(result.anchorCreated, true);
+    assert.deepEqual(summary(mock.state.blocks[uuid("doc-empty")]), [
+      `heading_1:${SECTION_HEADING}`,
+      "code:a --> b"
+    ]);
+  });
+
+  it("finds headings nested inside other blocks", async () => {
+    const result = await write("doc-nested", "flowchart TD\n  nestedNew");
+    const [toggle] = mock.state.blocks[uuid("doc-nested")];
+
+    assert.equal(result.parentId, toggle.id);
+    assert.equal(result.deletedCount, 1);
+    assert.deepEqual(summary(mock.state.blocks[toggle.id]), [`heading_3:${SECTION_HEADING}`, "code:nestedNew"]);
+  });
+
+  it("writes one captioned code block per diagram", async () => {
+    const diagrams = [
+      { title: "Overview", mermaid: "flowchart TD\n  overview" },
+      { title: "Related WH Group 1", mermaid: "flowchart TD\n  group1" }
+    ];
+    const result = await write("doc-report", JSON.stringify({ diagrams: JSON.stringify(diagrams) }));
+    const code = mock.state.blocks[uuid("doc-report")].filter(b => b.type === "code");
+
+    assert.equal(result.appendedCount, 2);
+    assert.deepEqual(code.map(b => b.caption[0].text.content), ["Overview", "Related WH Group 1"]);
+    assert.deepEqual(code.map(b => plain(b).split("\n").pop().trim()), ["overview", "group1"]);
+  });
+
+  it("appends more than 100 diagrams in batches, keeping their order", async () => {
+    const diagrams = Array.from({ length: 150 }, (_, i) => ({ title: `Piece ${i}`, mermaid: `flowchart TD\n  piece${i}` }));
+    const result = await write("doc-report", JSON.stringify({ diagrams: JSON.stringify(diagrams) }));
+    const patches = mock.requests.filter(r => r.method === "PATCH" && r.path.endsWith("/children"));
+    const blocks = mock.state.blocks[uuid("doc-report")];
+    const code = blocks.filter(b => b.type === "code");
+
+    assert.equal(result.appendedCount, 150);
+    assert.deepEqual(patches.map(r => r.body.children.length), [100, 50]);
+    assert.equal(patches[1].body.after, code[99].id);
+    assert.deepEqual(code.map(b => b.caption[0].text.content), diagrams.map(d => d.title));
+    assert.equal(summary(blocks).pop(), "paragraph:Keep me");
+  });
+
+  it("splits long diagrams into rich text chunks under the Notion limit", async () => {
+    const lines = Array.from({ length: 400 }, (_, i) => `  node_${i}["Node number ${i}"]`);
+    const body = `flowchart TD\n${lines.join("\n")}`;
+    await write("doc-report", body);
+    const [code] = mock.state.blocks[uuid("doc-report")].filter(b => b.type === "code");
+
+    assert.ok(code.richText.length > 1);
+    assert.ok(code.richText.every(rt => rt.text.content.length <= 2000));
+    // Todo pedaço depois do primeiro começa com a quebra de linha que fecha o anterior
+    assert.equal(code.richText.map((rt, i) => (i ? rt.text.content.slice(1) : rt.text.content)).join(""), body);
+  });
+
+  it("sends the requested Notion-Version", async () => {
+    await write("doc-empty", "flowchart TD\n  a", { notionVersion: "2022-06-28" });
+    await write("doc-report", "flowchart TD\n  b");
+    const versions = [...new Set(mock.requests.map(r => r.notionVersion))];
+
+    assert.deepEqual(versions, ["2022-06-28", "2025-09-03"]);
+  });
+
+  it("does nothing for an empty body", async () => {
+    const result = await write("doc-report", "  ");
+    assert.equal(result.replaced, false);
+    assert.equal(mock.requests.length, 0);
+  });
+
+  it("fails when the page does not exist", async () => {
+    await assert.rejects(write("doc-missing", "flowchart TD\n  a"), /HTTP 404/);
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { loadStep } from "../src/steps.js";
+import { createNotionMock } from "./support/notionMock.js";
+import { uuid, nodeId, chainWorkspace } from "./support/fixtures.js";
+
+const { buildWinningHypothesesMermaid } = await loadStep("build");
+const { buildMermaidFromGraphData } = await loadStep("mermaid");
+const { diffGraphData } = await loadStep("diff");
+const { exportGraphData } = await loadStep("export");
+
+async function buildChain(mutate, options = {}) {
+  const workspace = chainWorkspace();
+  mutate?.(workspace);
+  const mock = await createNotionMock(workspace);
+  try {
+    const result = await buildWinningHypothesesMermaid({
+      startWinningId: "Winning Hypotheses",
+      transport: mock.transport,
+      rateLimit: { requestsPerSecond: 0 },
+      ...options
+    });
+    return result.graphData;
+  } finally {
+    await mock.close();
+  }
+}
+
+describe("renderers on a crawled graph", () => {
+  let graphData, graph;
+
+  before(async () => {
+    graphData = await buildChain();
+    graph = JSON.parse(graphData);
+  });
+
+  it("renders Mermaid with group subgraphs, links and dashed back edges", async () => {
+    const result = await buildMermaidFromGraphData({ graphData });
+    const groupId = graph.nodes.find(n => n.id === nodeId("WH", "wh-a")).groupId;
+
+    assert.equal(result.diagramCount, 1);
+    assert.match(result.mermaid, /^flowchart TD/);
+    assert.ok(result.mermaid.includes(`subgraph group_${groupId}[`));
+    assert.ok(result.mermaid.includes(`click ${nodeId("WH", "wh-a")} "https://www.notion.so/${uuid("wh-a").replace(/-/g, "")}"`));
+    assert.ok(result.mermaid.includes(`${nodeId("L", "l-1")} -.-> ${nodeId("HB", "hb-shared")}`));
+    graph.nodes.forEach(n => assert.ok(result.mermaid.includes(n.id), `missing ${n.id}`));
+  });
+
+  it("splits into per-group diagrams plus an overview", async () => {
+    const result = await buildMermaidFromGraphData({ graphData, maxNodesPerDiagram: 8 });
+    const diagrams = JSON.parse(result.diagrams);
+
+    assert.ok(result.diagramCount > 1);
+    assert.equal(diagrams[0].mermaid, result.mermaid);
+    const rendered = diagrams.slice(1).map(d => d.mermaid).join("\n");
+    graph.nodes.forEach(n => assert.ok(rendered.includes(n.id), `missing ${n.id}`));
+  });
+
+  it("packs many small groups into diagrams up to maxNodesPerDiagram", async () => {
+    // 200 grupos de um WH com um HB cada: 400 nós
+    const wide = { nodes: [], edges: [], groups: [] };
+    for (let i = 0; i < 200; i++) {
+      wide.nodes.push({ id: `WH_${i}`, type: "WH", title: `WH ${i}` }, { id: `HB_${i}`, type: "HB", title: `HB ${i}` });
+      wide.edges.push({ id: `edge_${i}`, source: `WH_${i}`, target: `HB_${i}`, type: "wh_to_hb" });
+      wide.groups.push({ id: `g${i}`, name: `Group ${i}`, nodeIds: [`WH_${i}`] });
+    }
+    const result = await buildMermaidFromGraphData({ graphData: JSON.stringify(wide), maxNodesPerDiagram: 40 });
+    const diagrams = JSON.parse(result.diagrams);
+
+    assert.equal(result.diagramCount, 11);
+    assert.ok(diagrams.slice(1).every(d => d.nodeCount === 40));
+    assert.equal(diagrams[1].title, "1. Group 0 + 19 more");
+    const rendered = diagrams.slice(1).map(d => d.mermaid).join("\n");
+    wide.nodes.forEach(n => assert.ok(rendered.includes(`${n.id}[`), `missing ${n.id}`));
+  });
+
+  it("reports no changes between identical crawls", async () => {
+    const result = await diffGraphData({ previousGraphData: graphData, currentGraphData: await buildChain() });
+    assert.equal(result.hasChanges, false);
+  });
+
+  it("ignores edits that only touch page metadata", async () => {
+    const current = await buildChain(workspace => {
+      const vr = workspace.pages[uuid("vr-2")];
+      vr.lastEditedTime = "2025-06-01T12:00:00.000Z";
+      vr.lastEditedBy = workspace.users[1].id;
+    });
+    const result = await diffGraphData({ previousGraphData: graphData, currentGraphData: current });
+    assert.equal(result.hasChanges, false);
+  });
+
+  it("ignores the expiring signature of uploaded icons", async () => {
+    const withIcon = (signature) => buildChain(workspace => {
+      workspace.pages[uuid("vr-2")].icon = {
+        type: "file",
+        file: { url: `https://files.notion.so/icons/vr-2.png?X-Amz-Signature=${signature}`, expiry_time: "2025-06-01T13:00:00.000Z" }
+      };
+    });
+    const previous = await withIcon("aaa");
+    const current = await withIcon("bbb");
+    const node = JSON.parse(current).nodes.find(n => n.id === nodeId("VR", "vr-2"));
+
+    assert.equal(node.icon, "https://files.notion.so/icons/vr-2.png");
+    assert.equal((await diffGraphData({ previousGraphData: previous, currentGraphData: current })).hasChanges, false);
+  });
+
+  it("ignores which edge of a cycle was flagged as the back edge", async () => {
+    const current = JSON.parse(graphData);
+    const back = current.edges.find(e => e.backEdge);
+    delete back.backEdge;
+    current.edges.find(e => e.target === back.source && !e.backEdge).backEdge = true;
+    const result = await diffGraphData({ previousGraphData: graphData, currentGraphData: JSON.stringify(current) });
+    assert.equal(result.hasChanges, false);
+  });
+
+  it("diffs a crawl after the workspace changed", async () => {
+    const current = await buildChain(workspace => {
+      const whC = workspace.pages[uuid("wh-c")];
+      whC.values["All Hypotheses Backlog"] = [uuid("hb-c"), uuid("hb-orphan")];
+      workspace.pages[uuid("vr-2")].title = "Send welcome sequence v2";
+    });
+    const result = await diffGraphData({ previousGraphData: graphData, currentGraphData: current });
+
+    assert.equal(result.hasChanges, true);
+    assert.equal(result.addedNodeCount, 1);
+    assert.equal(result.removedNodeCount, 1); // hb-archived; o alvo 404 nunca virou nó
+    assert.equal(result.modifiedNodeCount, 1);
+    assert.match(result.changelog, /Send welcome sequence v2/);
+  });
+
+  it("draws truncation markers as dashed stadiums without links", async () => {
+    const truncated = await buildChain(undefined, { maxDepth: 1 });
+    const marker = JSON.parse(truncated).nodes.find(n => n.type === "MORE");
+    const result = await buildMermaidFromGraphData({ graphData: truncated });
+    const exported = await exportGraphData({ graphData: truncated, formats: "dot" });
+
+    assert.ok(result.mermaid.includes(`${marker.id}(["+1 more HB"]):::MORE`));
+    assert.ok(result.mermaid.includes(`${nodeId("L", "l-1")} -.-> ${marker.id}`));
+    assert.match(result.mermaid, /classDef MORE .*stroke-dasharray:5 5/);
+    assert.ok(!result.mermaid.includes(`click ${marker.id} `));
+    assert.match(exported.dot, /style="rounded,filled,dashed"/);
+  });
+
+  it("exports every format with the same nodes and edges", async () => {
+    const result = await exportGraphData({ graphData });
+    const cytoscape = JSON.parse(result.cytoscape);
+
+    assert.equal(result.nodeCount, graph.nodes.length);
+    assert.equal(result.edgeCount, graph.edges.length);
+    assert.equal((result.graphml.match(/<node /g) || []).length, graph.nodes.length);
+    assert.equal((result.gexf.match(/<edge /g) || []).length, graph.edges.length);
+    assert.equal((result.dot.match(/ -> /g) || []).length, graph.edges.length);
+    assert.equal(cytoscape.elements.edges.length, graph.edges.length);
+    assert.ok(result.graphml.includes("All Hypotheses Backlog"));
+  });
+});
@@ -0,0 +1,239 @@
+// Workspaces de fixture para o mock do Notion: ciclos, HB compartilhados, relações paginadas e 404
+import { createHash } from "node:crypto";
+
+// UUID determinístico a partir de um nome legível, para as asserções não dependerem de IDs aleatórios
+export function uuid(name) {
+  const hex = createHash("md5").update(name).digest("hex");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// ID do nó no graphData (mesma regra de mid() no builder)
+export const nodeId = (type, name) => `${type}_${uuid(name).replace(/[^A-Za-z0-9_]/g, "_")}`;
+
+export const USERS = [
+  { id: uuid("user:ana"), name: "Ana Lima", email: "ana@example.com" },
+  { id: uuid("user:bruno"), name: "Bruno Reis", email: "bruno@example.com" }
+];
+
+// Databases com os títulos e propriedades padrão do builder
+const DATABASES = {
+  wh: {
+    title: "Winning Hypotheses",
+    properties: {
+      Name: { type: "title" },
+      Description: { type: "rich_text" },
+      "All Hypotheses Backlog": { type: "relation" },
+      "Supporting Backlog": { type: "relation" },
+      BHQ: { type: "relation" },
+      Status: { type: "status" },
+      Tags: { type: "multi_select" },
+      Owner: { type: "people" }
+    }
+  },
+  bhq: {
+    title: "BHQ",
+    properties: {
+      Name: { type: "title" },
+      Description: { type: "rich_text" },
+      Question: { type: "rich_text" },
+      "Hypotheses Backlog": { type: "relation" }
+    }
+  },
+  hb: {
+    title: "Hypothesis Backlog",
+    properties: {
+      Name: { type: "title" },
+      Description: { type: "rich_text" },
+      "Validation Roadmap": { type: "relation" }
+    }
+  },
+  vr: {
+    title: "Validation Roadmap",
+    properties: {
+      Name: { type: "title" },
+      Goal: { type: "rich_text" },
+      Summary: { type: "rich_text" },
+      Learnings: { type: "relation" }
+    }
+  },
+  l: {
+    title: "BML Learnings",
+    properties: {
+      Name: { type: "title" },
+      "Positives Summary": { type: "rich_text" },
+      "Negatives Summary": { type: "rich_text" },
+      "New Hypotheses": { type: "relation" }
+    }
+  },
+  docs: {
+    title: "Docs",
+    properties: { Name: { type: "title" } }
+  }
+};
+
+export const databaseId = (key) => uuid(`db:${key}`);
+export const dataSourceId = (key, index = 0) => uuid(`ds:${key}:${index}`);
+
+// Monta um workspace; `page(db, name, title, values, extra)` usa nomes legíveis nas relações.
+// `sources` dá várias data sources a um database ({ hb: ["Hypothesis Backlog", "Hypothesis Backlog 2025"] });
+// a página escolhe a fonte com extra.source (índice, padrão 0)
+function workspace(build, sources = {}) {
+  const databases = {};
+  Object.entries(DATABASES).forEach(([key, def]) => {
+    const relationTargets = { "All Hypotheses Backlog": "hb", "Supporting Backlog": "hb", BHQ: "bhq", "Hypotheses Backlog": "hb", "Validation Roadmap": "vr", Learnings: "l", "New Hypotheses": "hb" };
+    const properties = {};
+    Object.entries(def.properties).forEach(([name, prop]) => {
+      properties[name] = prop.type === "relation" ? { ...prop, database: databaseId(relationTargets[name]) } : prop;
+    });
+    const titles = sources[key] || [def.title];
+    databases[databaseId(key)] = {
+      title: def.title,
+      properties,
+      dataSources: titles.map((title, index) => ({ id: dataSourceId(key, index), title }))
+    };
+  });
+
+  const pages = {};
+  let clock = Date.parse("2025-01-01T00:00:00.000Z");
+  const page = (db, name, title, values = {}, { source = 0, ...extra } = {}) => {
+    const resolved = {};
+    Object.entries(values).forEach(([prop, value]) => {
+      const def = DATABASES[db].properties[prop];
+      resolved[prop] = def?.type === "relation" ? value.map(uuid) : def?.type === "people" ? value.map(u => uuid(`user:${u}`)) : value;
+    });
+    clock += 3600 * 1000;
+    pages[uuid(name)] = {
+      database: databaseId(db),
+      dataSource: dataSourceId(db, source),
+      title,
+      values: resolved,
+      createdTime: new Date(clock).toISOString(),
+      lastEditedTime: new Date(clock).toISOString(),
+      ...extra
+    };
+  };
+
+  const blocks = build(page) || {};
+  return { databases, pages, blocks, users: USERS };
+}
+
+/**
+ * Cadeia completa:
+ *   WH A e WH B compartilham hb-shared (regressão do hbParentMap com um único pai)
+ *   hb-shared -> vr-1 -> l-1 -> hb-shared fecha um ciclo; l-1 também gera hb-spawn -> vr-3 -> l-2
+ *   WH C aponta para uma página que não existe (404) e para um HB arquivado
+ *   hb-orphan não é ligado a nenhum WH
+ */
+export function chainWorkspace() {
+  return workspace(page => {
+    page("wh", "wh-a", "Onboarding converts", {
+      Description: "Guided setup raises activation",
+      "All Hypotheses Backlog": ["hb-shared", "hb-a"],
+      Status: "Active",
+      Tags: ["growth"],
+      Owner: ["ana"]
+    }, { icon: "🚀" });
+    page("wh", "wh-b", "Retention grows", {
+      "All Hypotheses Backlog": ["hb-shared", "hb-b"],
+      Status: "Active",
+      Tags: ["retention"],
+      Owner: ["bruno"]
+    });
+    page("wh", "wh-c", "Pricing page sells", {
+      "All Hypotheses Backlog": ["hb-c", "hb-missing", "hb-archived"],
+      Status: "Paused",
+      Tags: ["growth", "pricing"],
+      Owner: ["ana"]
+    });
+
+    page("hb", "hb-shared", "Checklist in the dashboard", { "Validation Roadmap": ["vr-1"] });
+    page("hb", "hb-a", "Welcome e-mail sequence", { "Validation Roadmap": ["vr-2"] });
+    page("hb", "hb-b", "Weekly digest", { "Validation Roadmap": [] });
+    page("hb", "hb-c", "Annual plan discount", {});
+    page("hb", "hb-archived", "Old pricing test", {}, { archived: true });
+    page("hb", "hb-spawn", "Checklist with progress bar", { "Validation Roadmap": ["vr-3"] });
+    page("hb", "hb-orphan", "Nobody owns this", {});
+
+    page("vr", "vr-1", "A/B test checklist", { Goal: "+10% activation", Learnings: ["l-1"] });
+    page("vr", "vr-2", "Send welcome sequence", { Goal: "Open rate 40%", Learnings: [] });
+    page("vr", "vr-3", "Progress bar prototype", { Learnings: ["l-2"] });
+
+    page("l", "l-1", "Checklist works", {
+      "Positives Summary": "Activation up 12%",
+      "New Hypotheses": ["hb-spawn", "hb-shared"]
+    });
+    page("l", "l-2", "Progress bar is ignored", { "Negatives Summary": "No change" });
+  });
+}
+
+// WH com BHQ: os HB vêm pelo BHQ e a relação direta WH -> HB é ignorada
+export function bhqWorkspace() {
+  return workspace(page => {
+    page("wh", "wh-q", "Teams adopt faster", {
+      BHQ: ["bhq-1"],
+      "All Hypotheses Backlog": ["hb-direct"]
+    });
+    page("bhq", "bhq-1", "Why do teams stall?", { Question: "Where do invites drop?", "Hypotheses Backlog": ["hb-q"] });
+    page("hb", "hb-q", "Invite reminder", { "Validation Roadmap": ["vr-q"] });
+    page("hb", "hb-direct", "Direct link (ignored)", {});
+    page("vr", "vr-q", "Reminder experiment", { Learnings: [] });
+  });
+}
+
+// Muitos WH (mais de uma página de query) e uma relação com mais de 25 alvos (paginada)
+export const WIDE_WH_COUNT = 120;
+export const WIDE_HB_COUNT = 30;
+
+export function wideWorkspace() {
+  return workspace(page => {
+    const hbs = Array.from({ length: WIDE_HB_COUNT }, (_, i) => `hb-wide-${i}`);
+    page("wh", "wh-wide-0", "Wide WH", { "All Hypotheses Backlog": hbs });
+    for (let i = 1; i < WIDE_WH_COUNT; i++) page("wh", `wh-wide-${i}`, `WH ${i}`, {});
+    hbs.forEach((name, i) => page("hb", name, `HB ${i}`, {}));
+  });
+}
+
+// Databases com duas data sources (API 2025-09-03): WH e HB espalhados pelas duas fontes
+export function multiSourceWorkspace() {
+  return workspace(page => {
+    page("wh", "wh-2024", "Self-serve signup", { "All Hypotheses Backlog": ["hb-2024", "hb-2025"] });
+    page("wh", "wh-2025", "Usage-based pricing", { "All Hypotheses Backlog": ["hb-2025"] }, { source: 1 });
+    page("wh", "wh-2025-b", "Annual contracts", {}, { source: 1 });
+    page("hb", "hb-2024", "Shorter signup form", { "Validation Roadmap": ["vr-ms"] });
+    page("hb", "hb-2025", "Pay per seat", {}, { source: 1 });
+    page("vr", "vr-ms", "Form A/B test", { Learnings: [] });
+  }, {
+    wh: ["Winning Hypotheses", "Winning Hypotheses 2025"],
+    hb: ["Hypothesis Backlog", "Hypothesis Backlog 2025"]
+  });
+}
+
+// Página de documentação para o passo que escreve a seção Mermaid
+export const SECTION_HEADING = "Validation Roadmap Visualization";
+
+export function docsWorkspace() {
+  return workspace(page => {
+    page("docs", "doc-report", "Report", {});
+    page("docs", "doc-empty", "Empty report", {});
+    page("docs", "doc-nested", "Nested report", {});
+    return {
+      [uuid("doc-report")]: [
+        { type: "paragraph", text: "Intro" },
+        { type: "heading_2", text: SECTION_HEADING },
+        { type: "code", language: "mermaid", text: "flowchart TD\n  old1" },
+        { type: "code", language: "mermaid", text: "flowchart TD\n  old2" },
+        { type: "paragraph", text: "Keep me" }
+      ],
+      [uuid("doc-nested")]: [
+        {
+          type: "toggle",
+          text: "Diagrams",
+          children: [
+            { type: "heading_3", text: SECTION_HEADING },
+            { type: "code", language: "mermaid", text: "flowchart TD\n  nestedOld" }
+          ]
+        }
+      ]
+    };
+  });
+}
@@ -0,0 +1,397 @@
+// Servidor local que imita os endpoints do Notion usados pelos passos do Zap
+// (/search, /databases, /data_sources, /pages, /pages/{id}/properties, /blocks, /users), semeado por um workspace de fixture.
+// O formato segue o header Notion-Version: a partir da 2025-09-03 os databases expõem data sources
+import http from "node:http";
+import { randomUUID, createHash } from "node:crypto";
+
+const RELATION_PAGE_LIMIT = 25; // O Notion trunca relações no objeto da página e pagina o endpoint de propriedade
+const DATA_SOURCES_VERSION = "2025-09-03";
+
+const error = (status, code, message) => ({ status, body: { object: "error", status, code, message } });
+const ok = (body, status = 200) => ({ status, body });
+const text = (content) => [{ type: "text", text: { content }, plain_text: content }];
+
+function paginate(items, { start_cursor, page_size }, max = 100) {
+  const start = start_cursor ? Number(start_cursor) : 0;
+  const size = Math.min(Number(page_size) || max, max);
+  const chunk = items.slice(start, start + size);
+  const hasMore = start + size < items.length;
+  return { object: "list", results: chunk, has_more: hasMore, next_cursor: hasMore ? String(start + size) : null };
+}
+
+/**
+ * Cria o mock a partir de um workspace:
+ *   databases: { [id]: { title, properties: { [nome]: { type, relation? } }, dataSources?: [{ id, title }] } }
+ *   pages:     { [id]: { database, dataSource?, title, values: { [nome]: valor }, archived?, inTrash?, icon? (emoji ou objeto de ícone do Notion), createdTime?, lastEditedTime? } }
+ * Sem dataSources o database tem uma única fonte; sem dataSource a página fica na primeira fonte do database.
+ *   blocks:    { [parentId]: [{ type, text?, language?, children? }] }
+ *   users:     [{ id, name, email }]
+ * `failures` injeta respostas de erro: [{ method?, path: RegExp, status, times, retryAfter? }]
+ */
+export async function createNotionMock(workspace, { failures = [] } = {}) {
+  const state = structuredClone({ blocks: {}, users: [], ...workspace });
+  const requests = [];
+  const pending = failures.map(f => ({ ...f, remaining: f.times ?? 1 }));
+
+  // Blocos semeados podem vir sem ID e com filhos aninhados
+  const seedBlocks = (parentId, list) => {
+    state.blocks[parentId] = list.map(block => {
+      const { children, ...rest } = block;
+      const seeded = { id: rest.id || randomUUID(), ...rest };
+      if (children?.length) seedBlocks(seeded.id, children);
+      return seeded;
+    });
+  };
+  Object.entries(state.blocks).forEach(([parentId, list]) => seedBlocks(parentId, list));
+
+  // ---------- data sources ----------
+  const defaultSourceId = (dbId) => {
+    const hex = createHash("md5").update(`ds:${dbId}`).digest("hex");
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  };
+  const sourcesOf = (dbId) => state.databases[dbId].dataSources || [{ id: defaultSourceId(dbId), title: state.databases[dbId].title }];
+  const sourceOfPage = (page) => page.dataSource || sourcesOf(page.database)[0].id;
+  const findSource = (dsId) => {
+    for (const dbId of Object.keys(state.databases)) {
+      const source = sourcesOf(dbId).find(ds => ds.id === dsId);
+      if (source) return { dbId, source };
+    }
+    return null;
+  };
+  const multiSourceError = (dbId) =>
+    error(400, "validation_error", `Databases with multiple data sources are not supported in this API version (database ${dbId}).`);
+
+  // ---------- serialização no formato da API ----------
+  function propertySchema(name, def, v2025) {
+    const id = def.type === "title" ? "title" : name.replace(/\W/g, "").toLowerCase();
+    const relation = def.database
+      ? { database_id: def.database, ...(v2025 && { data_source_id: sourcesOf(def.database)[0].id }) }
+      : { database_id: null };
+    return { id, name, type: def.type, [def.type]: def.type === "relation" ? relation : {} };
+  }
+
+  function schemaOf(dbId, v2025) {
+    const properties = {};
+    Object.entries(state.databases[dbId].properties).forEach(([name, def]) => { properties[name] = propertySchema(name, def, v2025); });
+    return properties;
+  }
+
+  function databaseObject(id, v2025) {
+    const db = state.databases[id];
+    return {
+      object: "database",
+      id,
+      url: `https://www.notion.so/${id.replace(/-/g, "")}`,
+      title: text(db.title),
+      ...(v2025
+        ? { data_sources: sourcesOf(id).map(ds => ({ id: ds.id, name: ds.title })) }
+        : { properties: schemaOf(id, false) }),
+      parent: { type: "workspace", workspace: true },
+      archived: false,
+      in_trash: false
+    };
+  }
+
+  function dataSourceObject(dsId) {
+    const { dbId, source } = findSource(dsId);
+    return {
+      object: "data_source",
+      id: dsId,
+      url: `https://www.notion.so/${dbId.replace(/-/g, "")}`,
+      title: text(source.title),
+      properties: schemaOf(dbId, true),
+      parent: { type: "database_id", database_id: dbId },
+      database_parent: { type: "workspace", workspace: true },
+      archived: false,
+      in_trash: false
+    };
+  }
+
+  function propertyValue(schema, raw) {
+    const base = { id: schema.id, type: schema.type };
+    switch (schema.type) {
+      case "title":
+      case "rich_text":
+        return { ...base, [schema.type]: raw ? text(String(raw)) : [] };
+      case "relation": {
+        const ids = raw || [];
+        return { ...base, relation: ids.slice(0, RELATION_PAGE_LIMIT).map(id => ({ id })), has_more: ids.length > RELATION_PAGE_LIMIT };
+      }
+      case "select":
+      case "status":
+        return { ...base, [schema.type]: raw ? { name: raw } : null };
+      case "multi_select":
+        return { ...base, multi_select: (raw || []).map(name => ({ name })) };
+      case "people":
+        return { ...base, people: (raw || []).map(id => ({ object: "user", id })) };
+      case "date":
+        return { ...base, date: raw ? { start: raw, end: null } : null };
+      case "checkbox":
+        return { ...base, checkbox: !!raw };
+      case "number":
+        return { ...base, number: raw ?? null };
+      default:
+        return { ...base, [schema.type]: raw ?? null };
+    }
+  }
+
+  function pageObject(id, v2025) {
+    const page = state.pages[id];
+    const db = state.databases[page.database];
+    const properties = {};
+    Object.entries(db.properties).forEach(([name, def]) => {
+      const raw = def.type === "title" ? page.title : page.values?.[name];
+      properties[name] = propertyValue(propertySchema(name, def), raw);
+    });
+    return {
+      object: "page",
+      id,
+      url: `https://www.notion.so/${id.replace(/-/g, "")}`,
+      created_time: page.createdTime || "2025-01-01T00:00:00.000Z",
+      last_edited_time: page.lastEditedTime || "2025-01-01T00:00:00.000Z",
+      created_by: { object: "user", id: page.createdBy || state.users[0]?.id || "00000000-0000-0000-0000-000000000000" },
+      last_edited_by: { object: "user", id: page.lastEditedBy || state.users[0]?.id || "00000000-0000-0000-0000-000000000000" },
+      icon: typeof page.icon === "string" ? { type: "emoji", emoji: page.icon } : page.icon || null,
+      archived: !!page.archived,
+      in_trash: !!page.inTrash,
+      parent: v2025
+        ? { type: "data_source_id", data_source_id: sourceOfPage(page), database_id: page.database }
+        : { type: "database_id", database_id: page.database },
+      properties
+    };
+  }
+
+  function blockObject(block) {
+    const rich = text(block.text || "");
+    const content = block.type === "code"
+      ? { rich_text: block.richText || rich, language: block.language || "plain text", caption: block.caption || [] }
+      : { rich_text: block.richText || rich };
+    return {
+      object: "block",
+      id: block.id,
+      type: block.type,
+      has_children: !!state.blocks[block.id]?.length,
+      archived: false,
+      [block.type]: content
+    };
+  }
+
+  // ---------- filtros de query ----------
+  function rawValue(page, name) {
+    const def = state.databases[page.database].properties[name];
+    return def?.type === "title" ? page.title : page.values?.[name];
+  }
+
+  function matchesFilter(page, filter) {
+    if (!filter) return true;
+    if (filter.and) return filter.and.every(f => matchesFilter(page, f));
+    if (filter.or) return filter.or.some(f => matchesFilter(page, f));
+
+    if (filter.timestamp) {
+      const value = filter.timestamp === "created_time" ? page.createdTime : page.lastEditedTime;
+      return matchesDate(value || "2025-01-01T00:00:00.000Z", filter[filter.timestamp]);
+    }
+
+    const def = state.databases[page.database].properties[filter.property];
+    if (!def) return false;
+    const value = rawValue(page, filter.property);
+    const cond = filter[def.type] || {};
+
+    switch (def.type) {
+      case "title":
+      case "rich_text":
+        if ("equals" in cond) return String(value || "") === cond.equals;
+        if ("contains" in cond) return String(value || "").toLowerCase().includes(String(cond.contains).toLowerCase());
+        if (cond.is_empty) return !value;
+        return true;
+      case "select":
+      case "status":
+        if ("equals" in cond) return value === cond.equals;
+        if ("does_not_equal" in cond) return value !== cond.does_not_equal;
+        if (cond.is_empty) return !value;
+        return true;
+      case "multi_select":
+      case "relation":
+      case "people":
+        if ("contains" in cond) return (value || []).includes(cond.contains);
+        if ("does_not_contain" in cond) return !(value || []).includes(cond.does_not_contain);
+        if (cond.is_empty) return !(value || []).length;
+        if (cond.is_not_empty) return !!(value || []).length;
+        return true;
+      case "checkbox":
+        return !!value === !!cond.equals;
+      case "number":
+        return value === cond.equals;
+      case "date":
+        return value ? matchesDate(value, cond) : false;
+      default:
+        return true;
+    }
+  }
+
+  function matchesDate(value, cond = {}) {
+    const t = Date.parse(value);
+    if (cond.on_or_after && t < Date.parse(cond.on_or_after)) return false;
+    if (cond.on_or_before && t > Date.parse(cond.on_or_before)) return false;
+    return true;
+  }
+
+  // ---------- rotas ----------
+  function findPropertyById(page, propId) {
+    const db = state.databases[page.database];
+    return Object.entries(db.properties)
+      .map(([name, def]) => ({ name, def, schema: propertySchema(name, def) }))
+      .find(p => p.schema.id === decodeURIComponent(propId));
+  }
+
+  function appendBlocks(parentId, children, after) {
+    if (children.length > 100) return error(400, "validation_error", `body.children.length should be ≤ 100, instead was ${children.length}.`);
+    const list = state.blocks[parentId] || (state.blocks[parentId] = []);
+    const created = children.map(child => ({
+      id: randomUUID(),
+      type: child.type,
+      richText: child[child.type]?.rich_text?.map(rt => ({ ...rt, plain_text: rt.plain_text ?? rt.text?.content ?? "" })),
+      language: child[child.type]?.language,
+      caption: child[child.type]?.caption
+    }));
+    const index = after ? list.findIndex(b => b.id === after) : -1;
+    if (after && index === -1) return error(400, "validation_error", `Block ${after} is not a child of ${parentId}`);
+    list.splice(after ? index + 1 : list.length, 0, ...created);
+    return ok({ object: "list", results: created.map(blockObject), has_more: false, next_cursor: null });
+  }
+
+  function queryPages(matches, body, v2025) {
+    const ids = Object.keys(state.pages).filter(id => {
+      const page = state.pages[id];
+      return matches(page) && !page.archived && !page.inTrash && matchesFilter(page, body.filter);
+    });
+    return ok(paginate(ids.map(id => pageObject(id, v2025)), body));
+  }
+
+  function route(method, path, query, body, v2025) {
+    let m;
+    if (method === "POST" && path === "/v1/search") {
+      const q = String(body.query || "").toLowerCase();
+      const kind = body.filter?.value;
+      if (v2025 && kind === "database") {
+        return error(400, "validation_error", 'body.filter.value should be "page" or "data_source", instead was "database".');
+      }
+      if (kind === "page") return ok(paginate([], body));
+      const results = v2025
+        ? Object.keys(state.databases).flatMap(dbId => sourcesOf(dbId))
+          .filter(ds => ds.title.toLowerCase().includes(q)).map(ds => dataSourceObject(ds.id))
+        : Object.keys(state.databases).filter(id => state.databases[id].title.toLowerCase().includes(q)).map(id => databaseObject(id, false));
+      return ok(paginate(results, body));
+    }
+
+    if (method === "GET" && path === "/v1/users") {
+      const results = state.users.map(u => ({ object: "user", id: u.id, type: "person", name: u.name, person: { email: u.email } }));
+      return ok(paginate(results, query));
+    }
+
+    if ((m = path.match(/^\/v1\/databases\/([^/]+)$/)) && method === "GET") {
+      if (!state.databases[m[1]]) return error(404, "object_not_found", `Could not find database with ID: ${m[1]}.`);
+      if (!v2025 && sourcesOf(m[1]).length > 1) return multiSourceError(m[1]);
+      return ok(databaseObject(m[1], v2025));
+    }
+
+    // Removido na 2025-09-03: a query passa a ser por data source
+    if ((m = path.match(/^\/v1\/databases\/([^/]+)\/query$/)) && method === "POST" && !v2025) {
+      if (!state.databases[m[1]]) return error(404, "object_not_found", `Could not find database with ID: ${m[1]}.`);
+      if (sourcesOf(m[1]).length > 1) return multiSourceError(m[1]);
+      return queryPages(page => page.database === m[1], body, false);
+    }
+
+    if ((m = path.match(/^\/v1\/data_sources\/([^/]+)$/)) && method === "GET" && v2025) {
+      return findSource(m[1]) ? ok(dataSourceObject(m[1])) : error(404, "object_not_found", `Could not find data source with ID: ${m[1]}.`);
+    }
+
+    if ((m = path.match(/^\/v1\/data_sources\/([^/]+)\/query$/)) && method === "POST" && v2025) {
+      if (!findSource(m[1])) return error(404, "object_not_found", `Could not find data source with ID: ${m[1]}.`);
+      return queryPages(page => sourceOfPage(page) === m[1], body, true);
+    }
+
+    if ((m = path.match(/^\/v1\/pages\/([^/]+)\/properties\/([^/]+)$/)) && method === "GET") {
+      const page = state.pages[m[1]];
+      if (!page) return error(404, "object_not_found", `Could not find page with ID: ${m[1]}.`);
+      const prop = findPropertyById(page, m[2]);
+      if (!prop) return error(404, "object_not_found", `Could not find property with ID: ${m[2]}.`);
+      const value = prop.def.type === "title" ? page.title : page.values?.[prop.name];
+      if (prop.def.type === "relation") {
+        const items = (value || []).map(id => ({ object: "property_item", id: prop.schema.id, type: "relation", relation: { id } }));
+        return ok({
+          ...paginate(items, query, RELATION_PAGE_LIMIT),
+          type: "property_item",
+          property_item: { id: prop.schema.id, next_url: null, type: "relation", relation: {} }
+        });
+      }
+      return ok({ object: "property_item", ...propertyValue(prop.schema, value) });
+    }
+
+    if ((m = path.match(/^\/v1\/pages\/([^/]+)$/))) {
+      const page = state.pages[m[1]];
+      if (!page) return error(404, "object_not_found", `Could not find page with ID: ${m[1]}. Make sure the relevant pages and databases are shared with your integration.`);
+      if (method === "PATCH") {
+        if ("archived" in body) page.archived = !!body.archived;
+        if ("in_trash" in body) page.inTrash = !!body.in_trash;
+      }
+      return ok(pageObject(m[1], v2025));
+    }
+
+    if ((m = path.match(/^\/v1\/blocks\/([^/]+)\/children$/))) {
+      const known = state.pages[m[1]] || state.blocks[m[1]] || Object.values(state.blocks).some(list => list.some(b => b.id === m[1]));
+      if (!known) return error(404, "object_not_found", `Could not find block with ID: ${m[1]}.`);
+      if (method === "GET") return ok(paginate((state.blocks[m[1]] || []).map(blockObject), query));
+      if (method === "PATCH") return appendBlocks(m[1], body.children || [], body.after);
+    }
+
+    if ((m = path.match(/^\/v1\/blocks\/([^/]+)$/)) && method === "DELETE") {
+      for (const list of Object.values(state.blocks)) {
+        const index = list.findIndex(b => b.id === m[1]);
+        if (index !== -1) {
+          const [removed] = list.splice(index, 1);
+          return ok({ ...blockObject(removed), archived: true });
+        }
+      }
+      return error(404, "object_not_found", `Could not find block with ID: ${m[1]}.`);
+    }
+
+    return error(400, "invalid_request_url", `Invalid request URL: ${method} ${path}`);
+  }
+
+  const server = http.createServer(async (req, res) => {
+    let raw = "";
+    for await (const chunk of req) raw += chunk;
+    const url = new URL(req.url, "http://localhost");
+    const query = Object.fromEntries(url.searchParams);
+    const body = raw ? JSON.parse(raw) : {};
+    requests.push({ method: req.method, path: url.pathname, query, body, notionVersion: req.headers["notion-version"], at: Date.now() });
+
+    const failure = pending.find(f => f.remaining > 0 && (!f.method || f.method === req.method) && f.path.test(url.pathname));
+    let result;
+    if (failure) {
+      failure.remaining--;
+      result = error(failure.status, failure.status === 429 ? "rate_limited" : "internal_server_error", "Injected failure");
+      if (failure.retryAfter !== undefined) res.setHeader("Retry-After", String(failure.retryAfter));
+    } else if (!String(req.headers.authorization || "").startsWith("Bearer ")) {
+      result = error(401, "unauthorized", "API token is invalid.");
+    } else {
+      const version = String(req.headers["notion-version"] || "2022-06-28");
+      result = route(req.method, url.pathname, query, body, version >= DATA_SOURCES_VERSION);
+    }
+
+    res.writeHead(result.status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(result.body));
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}/v1`,
+    state,
+    requests,
+    transport: { baseUrl: `http://127.0.0.1:${port}/v1`, token: "test-token" },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}